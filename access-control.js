@@ -0,0 +1,137 @@
+/**
+ * Access Control - Tokens and roles for the HTTP API and WebSocket
+ *
+ * Tokens are configured in a JSON file ({ "tokens": [{ "token", "role", "name" }] })
+ * or as a list ("editor:<token>,viewer:<token>"). Each role includes the ones before it:
+ * - viewer:   read flows and follow live updates
+ * - editor:   add, change, delete and clear nodes and edges, import, hooks
+ * - executor: run commands
+ *
+ * Clients send their token as `Authorization: Bearer <token>`, or as `?token=<token>`
+ * where headers cannot be set (browser WebSocket and EventSource). Without any
+ * configured token, authentication is off and every caller acts as executor.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'editor', 'executor'];
+
+class AccessControl {
+    /**
+     * @param {Array} [tokens] - [{ token, role, name }]
+     */
+    constructor(tokens = []) {
+        this.tokens = tokens.map((entry, index) => {
+            if (typeof entry.token !== 'string' || entry.token.length < 8) {
+                throw new Error(`Token ${index + 1}: tokens need at least 8 characters`);
+            }
+            if (!ROLES.includes(entry.role)) {
+                throw new Error(`Token ${index + 1}: unknown role "${entry.role}" (${ROLES.join(', ')})`);
+            }
+            return { digest: AccessControl.digest(entry.token), role: entry.role, name: entry.name || `token-${index + 1}` };
+        });
+    }
+
+    /**
+     * Load tokens from a JSON file
+     */
+    static fromFile(file) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid token file ${file}: ${error.message}`);
+        }
+        return new AccessControl(Array.isArray(config) ? config : config.tokens || []);
+    }
+
+    /**
+     * Parse a token list: "role:token,role:token" (whitespace around entries is ignored)
+     */
+    static parseTokenList(text) {
+        return String(text || '').split(',').map(item => item.trim()).filter(Boolean).map(item => {
+            const separator = item.indexOf(':');
+            return separator > 0
+                ? { role: item.slice(0, separator), token: item.slice(separator + 1) }
+                : { role: 'executor', token: item };
+        });
+    }
+
+    /**
+     * Check whether a role includes another (executor includes editor includes viewer)
+     */
+    static hasRole(role, required) {
+        return ROLES.indexOf(role) >= 0 && ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    /**
+     * Hash of a token, so comparisons take the same time whatever the token
+     */
+    static digest(token) {
+        return crypto.createHash('sha256').update(String(token)).digest();
+    }
+
+    /**
+     * Token of a request: Authorization header first, then the `token` query parameter
+     */
+    static getRequestToken(req) {
+        const header = req.headers.authorization;
+        if (header && /^Bearer\s+/i.test(header)) {
+            return header.replace(/^Bearer\s+/i, '').trim();
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    }
+
+    get enabled() {
+        return this.tokens.length > 0;
+    }
+
+    /**
+     * Find who a token belongs to
+     * @returns {Object|null} - { role, name }, or null for unknown tokens
+     */
+    authenticate(token) {
+        if (!this.enabled) {
+            return { role: 'executor', name: 'anonymous' };
+        }
+        if (!token) {
+            return null;
+        }
+
+        const digest = AccessControl.digest(token);
+        const match = this.tokens.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+        return match ? { role: match.role, name: match.name } : null;
+    }
+
+    /**
+     * Express middleware: set req.identity ({ role, name } or null) from the request's token
+     */
+    middleware() {
+        return (req, res, next) => {
+            req.identity = this.authenticate(AccessControl.getRequestToken(req));
+            next();
+        };
+    }
+
+    /**
+     * Express middleware: refuse requests without the given role (401 without a valid token, 403 with too low a role)
+     */
+    require(role) {
+        return (req, res, next) => {
+            if (!req.identity) {
+                return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Authentication required' });
+            }
+            if (!AccessControl.hasRole(req.identity.role, role)) {
+                return res.status(403).json({ error: `Forbidden: needs the ${role} role` });
+            }
+            next();
+        };
+    }
+}
+
+AccessControl.ROLES = ROLES;
+
+module.exports = AccessControl;
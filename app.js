@@ -8,14 +8,46 @@ class App {
         this.canvas = null;
         this.parser = new ParserV2(); // Use ParserV2 for terminal support
         this.ws = null;
-        this.wsUrl = `ws://${window.location.host}`;
+
+        // Conversation channel to follow (?conversation=<id>), 'default' otherwise
+        const params = new URLSearchParams(window.location.search);
+        this.conversationId = params.get('conversation') || 'default';
+        this.wsUrl = `ws://${window.location.host}/?conversation=${encodeURIComponent(this.conversationId)}`;
+        this.eventsUrl = `/api/events?conversation_id=${encodeURIComponent(this.conversationId)}`;
+
+        // Name shown to the others following the conversation (?name=<name>)
+        if (params.get('name')) {
+            const name = `&name=${encodeURIComponent(params.get('name'))}`;
+            this.wsUrl += name;
+            this.eventsUrl += name;
+        }
+        this.presence = []; // Clients following the conversation (presence messages)
+        this.clientId = null; // Our own entry in them, from state and delta messages
+        this.collaboration = null;
+        this.lastSeq = null; // Last server sequence number applied, used to resume after reconnects
+
+        // Access token of servers with authentication (see GET /api/auth), remembered across visits
+        this.tokenStorageKey = 'claude-flow-token';
+        this.token = this.loadToken();
+        this.role = null; // 'viewer', 'editor' or 'executor' once checked
+
+        // Streaming command runs (run_id -> { node_id, output, onOutput, resolve, reject })
+        this.runs = new Map();
+        this.liveRuns = new Set();
+        this.liveRenderTimer = null;
+        this.liveRenderInterval = 150;
         this.reconnectInterval = 2000; // Reconnect every 2 seconds
         this.reconnectTimer = null;
         this.isConnecting = false;
-        this.useFallback = false; // Fallback to file polling if WebSocket fails
+        this.useFallback = false; // Fallback to file polling if neither WebSocket nor SSE work
+        this.transport = 'websocket'; // 'websocket', then 'sse' when WebSocket upgrades are blocked
+        this.eventSource = null;
+        this.eventSourceTimeout = 5000;
 
         // Fallback polling settings
-        this.flowDataPath = './data/flow.json';
+        this.flowDataPath = this.conversationId === 'default'
+            ? './data/flow.json'
+            : `./data/conversations/${encodeURIComponent(this.conversationId)}.json`;
         this.lastModified = 0;
         this.pollInterval = 200;
         this.maxPollInterval = 2000;
@@ -38,33 +70,107 @@ class App {
         const svgElement = document.getElementById('canvas');
         this.canvas = new Canvas(svgElement);
 
+        // Cursors, viewports and selections of the others following this conversation
+        if (typeof Collaboration !== 'undefined') {
+            this.collaboration = new Collaboration(this);
+        }
+
         // Update status
         this.updateStatus('Initializing...');
         if (window.ui) {
             window.ui.updateConnectionStatus(false);
         }
 
+        // Ask for a token first if the server requires one
+        await this.checkAuth();
+
         // Try WebSocket first
         this.connectWebSocket();
 
-        // Fallback to polling after 5 seconds if WebSocket fails
+        // Fall back to Server-Sent Events after 5 seconds if WebSocket fails (e.g. blocked by a proxy)
         setTimeout(() => {
             if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-                console.log('WebSocket not available, using fallback polling');
-                this.useFallback = true;
-                this.loadFlowData();
-                this.startPolling();
-
-                if (window.ui) {
-                    window.ui.hideLoading();
-                    window.ui.info('Fallback Mode', 'Using file polling for updates');
-                }
+                console.log('WebSocket not available, trying Server-Sent Events');
+                this.connectEventSource();
             }
         }, 5000);
 
         console.log('Claude Flow initialized');
     }
 
+    /**
+     * Read the remembered token (storage may be unavailable, e.g. in private windows)
+     */
+    loadToken() {
+        try {
+            return localStorage.getItem(this.tokenStorageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember a token, or forget it with null
+     */
+    saveToken(token) {
+        this.token = token || null;
+        try {
+            if (this.token) {
+                localStorage.setItem(this.tokenStorageKey, this.token);
+            } else {
+                localStorage.removeItem(this.tokenStorageKey);
+            }
+        } catch (error) {
+            console.warn('Could not remember the access token:', error);
+        }
+    }
+
+    /**
+     * Check the token against the server and prompt for one until it is accepted (or the user cancels)
+     */
+    async checkAuth() {
+        for (;;) {
+            let auth;
+            try {
+                const response = await fetch('/api/auth', { headers: this.getAuthHeaders(), cache: 'no-cache' });
+                if (!response.ok) return;
+                auth = await response.json();
+            } catch (error) {
+                return; // Server unreachable: the connection attempts report it
+            }
+
+            if (!auth.enabled || auth.role) {
+                this.role = auth.role;
+                return;
+            }
+
+            const message = this.token
+                ? 'The access token was not accepted. Enter another token:'
+                : 'This Claude Flow server requires an access token:';
+            const token = window.prompt(message);
+            if (!token) {
+                this.saveToken(null);
+                this.updateStatus('Access token required');
+                return;
+            }
+            this.saveToken(token.trim());
+        }
+    }
+
+    /**
+     * Headers authenticating fetch requests
+     */
+    getAuthHeaders() {
+        return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+    }
+
+    /**
+     * Add the token to a URL (WebSocket and EventSource cannot send headers)
+     */
+    withToken(url) {
+        return this.token ? `${url}&token=${encodeURIComponent(this.token)}` : url;
+    }
+
     /**
      * Connect to WebSocket server
      */
@@ -76,7 +182,9 @@ class App {
         this.updateConnectionStatus('connecting');
 
         try {
-            this.ws = new WebSocket(this.wsUrl);
+            // Resume from the last applied sequence number so the server only sends missed events
+            const url = this.lastSeq !== null ? `${this.wsUrl}&since=${this.lastSeq}` : this.wsUrl;
+            this.ws = new WebSocket(this.withToken(url));
 
             // Connection opened
             this.ws.onopen = () => {
@@ -91,10 +199,7 @@ class App {
                     window.ui.success('Connected', 'WebSocket connection established');
                 }
 
-                // Request current state
-                this.sendMessage({
-                    type: 'request_state'
-                });
+                // The server subscribes us from the URL and sends the state (or delta) on its own
 
                 // Clear any reconnect timer
                 if (this.reconnectTimer) {
@@ -109,18 +214,25 @@ class App {
             };
 
             // Connection closed
-            this.ws.onclose = () => {
+            this.ws.onclose = async (event) => {
                 console.log('WebSocket disconnected');
                 this.isConnecting = false;
                 this.updateStatus('Disconnected');
+                this.failPendingRuns('Connection to server lost');
+
+                // Token refused (or revoked): ask for another one before reconnecting
+                if (event.code === 4401) {
+                    this.saveToken(null);
+                    await this.checkAuth();
+                }
 
                 if (window.ui) {
                     window.ui.updateConnectionStatus(false);
                     window.ui.warning('Disconnected', 'Attempting to reconnect...');
                 }
 
-                // Attempt reconnection
-                if (!this.reconnectTimer) {
+                // Attempt reconnection (unless another transport took over)
+                if (this.transport === 'websocket' && !this.reconnectTimer) {
                     this.reconnectTimer = setTimeout(() => {
                         this.reconnectTimer = null;
                         this.connectWebSocket();
@@ -148,24 +260,118 @@ class App {
     }
 
     /**
-     * Handle WebSocket messages
+     * Receive updates over Server-Sent Events (GET /api/events) instead of the WebSocket
+     * EventSource reconnects on its own and resumes after the last event ID (the sequence number).
+     * Without a connection in time, falls back to file polling.
+     */
+    connectEventSource() {
+        if (typeof EventSource === 'undefined') {
+            this.startFallbackPolling();
+            return;
+        }
+
+        // Stop retrying the WebSocket so updates do not arrive twice
+        this.transport = 'sse';
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+        }
+
+        const url = this.lastSeq !== null ? `${this.eventsUrl}&since=${this.lastSeq}` : this.eventsUrl;
+        this.eventSource = new EventSource(this.withToken(url));
+
+        const openTimer = setTimeout(() => {
+            console.log('Server-Sent Events not available, using fallback polling');
+            this.eventSource.close();
+            this.eventSource = null;
+            this.startFallbackPolling();
+        }, this.eventSourceTimeout);
+
+        this.eventSource.onopen = () => {
+            console.log('Event stream connected');
+            clearTimeout(openTimer);
+            this.updateStatus('Connected');
+            this.updateConnectionStatus('connected');
+
+            if (window.ui) {
+                window.ui.updateConnectionStatus(true);
+                window.ui.hideLoading();
+                window.ui.info('Server-Sent Events', 'WebSocket blocked, receiving updates over an event stream');
+            }
+        };
+
+        this.eventSource.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+
+        this.eventSource.onerror = () => {
+            // EventSource retries by itself while the server is reachable
+            console.warn('Event stream interrupted, reconnecting...');
+            this.updateStatus('Reconnecting...');
+            this.updateConnectionStatus('connecting');
+
+            if (window.ui) {
+                window.ui.updateConnectionStatus(false);
+            }
+        };
+    }
+
+    /**
+     * Fall back to polling the conversation's file
+     */
+    startFallbackPolling() {
+        this.transport = 'polling';
+        this.useFallback = true;
+        this.loadFlowData();
+        this.startPolling();
+
+        if (window.ui) {
+            window.ui.hideLoading();
+            window.ui.info('Fallback Mode', 'Using file polling for updates');
+        }
+    }
+
+    /**
+     * Handle server messages (WebSocket or Server-Sent Events)
      */
     handleMessage(data) {
         try {
             const message = JSON.parse(data);
 
+            // Ignore updates for other conversations
+            if (message.conversation_id && message.conversation_id !== this.conversationId) {
+                return;
+            }
+
             switch (message.type) {
                 case 'state':
-                    // Full state update
-                    console.log('Received state update');
+                    // Full state update (resync: updates were skipped because this client fell behind)
+                    console.log(message.resync ? 'Received state after falling behind' : 'Received state update');
+                    this.clientId = message.client_id || this.clientId;
+                    this.lastSeq = message.seq !== undefined ? message.seq : null;
                     this.renderFlowData(message.data);
                     this.updateLastUpdateTime();
                     this.updateStatus('Ready');
                     break;
 
+                case 'delta':
+                    // Events missed while disconnected
+                    console.log(`Received ${message.events.length} missed event(s) since ${message.since}`);
+                    this.clientId = message.client_id || this.clientId;
+                    this.applyEvents(message.events);
+                    this.lastSeq = message.seq;
+                    this.updateLastUpdateTime();
+                    this.updateStatus('Ready');
+                    break;
+
                 case 'node_update':
                     // New nodes added
                     console.log(`Received ${message.nodes.length} new node(s)`);
+                    this.trackSeq(message.seq);
                     this.handleNodeUpdate(message.nodes, message.edges || []);
                     this.updateLastUpdateTime();
                     break;
@@ -173,21 +379,90 @@ class App {
                 case 'edge_update':
                     // New edges added
                     console.log(`Received ${message.edges.length} new edge(s)`);
+                    this.trackSeq(message.seq);
                     this.handleEdgeUpdate(message.edges);
                     this.updateLastUpdateTime();
                     break;
 
+                case 'node_patch':
+                case 'node_delete':
+                case 'edge_patch':
+                case 'edge_delete':
+                    // Existing node/edge changed or removed
+                    console.log(`Received ${message.type} for ${message.id}`);
+                    this.trackSeq(message.seq);
+                    this.applyEvents([message]);
+                    this.updateLastUpdateTime();
+                    break;
+
+                case 'comment_add':
+                case 'thread_resolve':
+                case 'comment_delete':
+                    // Comment threads changed
+                    console.log(`Received ${message.type} for thread ${message.thread_id}`);
+                    this.trackSeq(message.seq);
+                    this.applyEvents([message]);
+                    this.updateLastUpdateTime();
+                    break;
+
                 case 'clear':
                     // Canvas cleared
                     console.log('Canvas cleared');
+                    this.trackSeq(message.seq);
                     this.canvas.clear();
                     this.updateLastUpdateTime();
                     break;
 
                 case 'error':
                     // Server error
-                    console.error('Server error:', message.error);
+                    console.error('Server error:', message.error, message.issues || '');
                     this.updateStatus(`Error: ${message.error}`);
+                    if (message.run_id) {
+                        this.failRun(message.run_id, message.error);
+                    }
+                    break;
+
+                case 'run_started':
+                    // A command started running on the server
+                    this.getRun(message.run_id, message.node_id);
+                    break;
+
+                case 'run_output':
+                    // Streamed stdout/stderr chunk of a running command
+                    this.handleRunOutput(message);
+                    break;
+
+                case 'run_exit':
+                    // A command finished
+                    this.handleRunExit(message);
+                    this.updateLastUpdateTime();
+                    break;
+
+                case 'run_denied':
+                    // The execution policy refused a command; it finishes without running
+                    console.warn(`Command denied (${message.rule}): ${message.reason}`);
+                    this.handleRunExit(message);
+                    break;
+
+                case 'validation_report':
+                    // Nodes/edges we sent were repaired, re-IDed or dropped
+                    console.warn(`Server adjusted ${message.issues.length} item(s) (${message.mode}):`, message.issues);
+                    break;
+
+                case 'presence':
+                    // Who else follows this conversation
+                    this.presence = message.clients || [];
+                    if (this.collaboration) {
+                        this.collaboration.handlePresence(this.presence);
+                    }
+                    this.updatePresence();
+                    break;
+
+                case 'cursor':
+                    // Viewport, pointer and selection of another client
+                    if (this.collaboration) {
+                        this.collaboration.handleCursor(message);
+                    }
                     break;
 
                 case 'ping':
@@ -207,6 +482,170 @@ class App {
         }
     }
 
+    /**
+     * Remember the highest sequence number seen
+     */
+    trackSeq(seq) {
+        if (typeof seq === 'number' && (this.lastSeq === null || seq > this.lastSeq)) {
+            this.lastSeq = seq;
+        }
+    }
+
+    /**
+     * Get the ID of an edge (same fallback as the server)
+     */
+    getEdgeId(edge) {
+        return edge.id || `edge-${edge.from}-${edge.to}`;
+    }
+
+    /**
+     * Apply server events in order and render once
+     */
+    applyEvents(events) {
+        if (events.length === 0) return;
+
+        const currentData = this.canvas.getData();
+        let nodes = [...currentData.nodes];
+        let edges = [...currentData.edges];
+        let threads = currentData.threads || [];
+
+        events.forEach(event => {
+            switch (event.type) {
+                case 'node_update':
+                    nodes.push(...(event.nodes || []));
+                    edges.push(...(event.edges || []));
+                    break;
+                case 'edge_update':
+                    edges.push(...(event.edges || []));
+                    break;
+                case 'node_patch':
+                    nodes = nodes.map(node => node.id === event.id ? event.node : node);
+                    break;
+                case 'node_delete':
+                    nodes = nodes.filter(node => node.id !== event.id);
+                    edges = edges.filter(edge => edge.from !== event.id && edge.to !== event.id);
+                    threads = threads.filter(thread => thread.node_id !== event.id);
+                    break;
+                case 'edge_patch':
+                    edges = edges.map(edge => this.getEdgeId(edge) === event.id ? event.edge : edge);
+                    break;
+                case 'edge_delete':
+                    edges = edges.filter(edge => this.getEdgeId(edge) !== event.id);
+                    break;
+                case 'clear':
+                    nodes = [];
+                    edges = [];
+                    threads = [];
+                    break;
+                case 'comment_add':
+                case 'thread_resolve':
+                case 'comment_delete':
+                    threads = this.applyThreadEvent(threads, event);
+                    break;
+            }
+        });
+
+        this.renderFlowData({
+            conversation_id: currentData.conversation_id,
+            created_at: currentData.created_at,
+            nodes,
+            edges,
+            threads
+        });
+    }
+
+    /**
+     * Apply a comment event to a list of threads (returns a new list, like the server's EventLog.apply)
+     */
+    applyThreadEvent(threads, event) {
+        const thread = threads.find(item => item.id === event.thread_id);
+
+        switch (event.type) {
+            case 'comment_add':
+                if (!thread) {
+                    return [...threads, {
+                        id: event.thread_id,
+                        node_id: event.node_id,
+                        created_at: event.comment.created_at,
+                        resolved: false,
+                        resolved_by: null,
+                        resolved_at: null,
+                        comments: [event.comment]
+                    }];
+                }
+                return threads.map(item => item === thread
+                    ? { ...item, comments: [...item.comments, event.comment] }
+                    : item);
+
+            case 'thread_resolve':
+                return threads.map(item => item === thread
+                    ? {
+                        ...item,
+                        resolved: event.resolved,
+                        resolved_by: event.resolved ? event.resolved_by : null,
+                        resolved_at: event.resolved ? event.timestamp : null
+                    }
+                    : item);
+
+            case 'comment_delete': {
+                if (!thread) return threads;
+                const comments = thread.comments.filter(comment => comment.id !== event.id);
+                return comments.length > 0
+                    ? threads.map(item => item === thread ? { ...item, comments } : item)
+                    : threads.filter(item => item !== thread);
+            }
+        }
+
+        return threads;
+    }
+
+    /**
+     * Comment threads of a node in the current flow
+     */
+    getThreads(nodeId) {
+        return (this.canvas.getData().threads || []).filter(thread => thread.node_id === nodeId);
+    }
+
+    /**
+     * Add, resolve or delete comments: over the WebSocket when connected, else through the HTTP API
+     * (the change comes back as an event, or with the next poll)
+     * @param {Object} message - comment_add ({ thread_id } or { node_id }, text), thread_resolve or comment_delete
+     */
+    async sendComment(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.sendMessage(message);
+            return;
+        }
+
+        const query = `?conversation_id=${encodeURIComponent(this.conversationId)}`;
+        let method = 'POST';
+        let url = '/api/threads';
+        let body = { node_id: message.node_id, text: message.text };
+
+        if (message.type === 'comment_add' && message.thread_id) {
+            url = `/api/threads/${encodeURIComponent(message.thread_id)}/comments`;
+            body = { text: message.text };
+        } else if (message.type === 'thread_resolve') {
+            method = 'PATCH';
+            url = `/api/threads/${encodeURIComponent(message.thread_id)}`;
+            body = { resolved: message.resolved };
+        } else if (message.type === 'comment_delete') {
+            method = 'DELETE';
+            url = `/api/threads/${encodeURIComponent(message.thread_id)}/comments/${encodeURIComponent(message.id)}`;
+            body = undefined;
+        }
+
+        const response = await fetch(url + query, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+    }
+
     /**
      * Handle node updates
      */
@@ -219,7 +658,8 @@ class App {
             conversation_id: currentData.conversation_id,
             created_at: currentData.created_at,
             nodes: [...currentData.nodes, ...newNodes],
-            edges: [...currentData.edges, ...newEdges]
+            edges: [...currentData.edges, ...newEdges],
+            threads: currentData.threads
         };
 
         // Render updated data
@@ -243,12 +683,136 @@ class App {
         this.renderFlowData(mergedData);
     }
 
+    /**
+     * Execute a command on the server over WebSocket, streaming its output
+     * @param {Object} request - { run_id, command, command_type, node_id }
+     * @param {Function} onOutput - Called with (chunk, stream) as output arrives
+     * @returns {Promise<Object>} - The run_exit message plus the collected `output`
+     */
+    executeRun(request, onOutput) {
+        return new Promise((resolve, reject) => {
+            const run = this.getRun(request.run_id, request.node_id);
+            run.onOutput = onOutput;
+            run.resolve = resolve;
+            run.reject = reject;
+
+            if (!this.sendMessage({ type: 'execute', ...request })) {
+                this.failRun(request.run_id, 'WebSocket not connected');
+            }
+        });
+    }
+
+    /**
+     * Send a signal to a running command (SIGINT cancels it like Ctrl+C)
+     */
+    signalRun(runId, signal = 'SIGINT') {
+        return this.sendMessage({ type: 'signal', run_id: runId, signal });
+    }
+
+    /**
+     * Get (or start tracking) a run
+     */
+    getRun(runId, nodeId = null) {
+        if (!this.runs.has(runId)) {
+            this.runs.set(runId, { node_id: nodeId, output: '', onOutput: null, resolve: null, reject: null });
+        }
+
+        const run = this.runs.get(runId);
+        run.node_id = run.node_id || nodeId;
+        return run;
+    }
+
+    /**
+     * Handle a streamed output chunk: grow the run's output node live
+     */
+    handleRunOutput(message) {
+        const run = this.getRun(message.run_id, message.node_id);
+        let chunk = message.data;
+
+        if (message.resync) {
+            // The whole output so far, after chunks were skipped: only pass on what is new
+            chunk = message.data.startsWith(run.output) ? message.data.slice(run.output.length) : message.data;
+            run.output = message.data;
+        } else {
+            run.output += chunk;
+        }
+
+        if (run.onOutput && chunk) {
+            run.onOutput(chunk, message.stream);
+        }
+
+        if (run.node_id) {
+            this.liveRuns.add(run);
+            if (!this.liveRenderTimer) {
+                this.liveRenderTimer = setTimeout(() => this.flushLiveOutput(), this.liveRenderInterval);
+            }
+        }
+    }
+
+    /**
+     * Render the output received so far into the running nodes (local only, throttled)
+     */
+    flushLiveOutput() {
+        this.liveRenderTimer = null;
+
+        const nodes = this.canvas.getData().nodes;
+        const events = [];
+
+        this.liveRuns.forEach(run => {
+            const node = nodes.find(item => item.id === run.node_id);
+            if (node && this.parser.updateTerminalOutput) {
+                events.push({ type: 'node_patch', id: node.id, node: this.parser.updateTerminalOutput(node, run.output) });
+            }
+        });
+        this.liveRuns.clear();
+
+        this.applyEvents(events);
+    }
+
+    /**
+     * Handle the end of a run
+     */
+    handleRunExit(message) {
+        const run = this.runs.get(message.run_id);
+        this.runs.delete(message.run_id);
+
+        if (run) {
+            this.liveRuns.delete(run);
+            if (run.resolve) {
+                run.resolve({ ...message, output: run.output });
+            }
+        }
+    }
+
+    /**
+     * Fail a pending run
+     */
+    failRun(runId, error) {
+        const run = this.runs.get(runId);
+        this.runs.delete(runId);
+
+        if (run && run.reject) {
+            run.reject(new Error(error));
+        }
+    }
+
+    /**
+     * Fail all runs started by this client (e.g. when the connection drops)
+     */
+    failPendingRuns(error) {
+        Array.from(this.runs.keys()).forEach(runId => this.failRun(runId, error));
+    }
+
     /**
      * Send message to WebSocket server
      */
     sendMessage(message) {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify(message));
+            this.ws.send(JSON.stringify({
+                conversation_id: this.conversationId,
+                ...message
+            }));
+
             return true;
         }
         return false;
@@ -290,6 +854,7 @@ class App {
     async checkForUpdates() {
         try {
             const response = await fetch(this.flowDataPath, {
+                headers: this.getAuthHeaders(),
                 cache: 'no-cache'
             });
 
@@ -319,6 +884,7 @@ class App {
     async loadFlowData() {
         try {
             const response = await fetch(this.flowDataPath, {
+                headers: this.getAuthHeaders(),
                 cache: 'no-cache'
             });
 
@@ -353,6 +919,11 @@ class App {
             window.ui.updateNodeCount(data.nodes.length);
             window.ui.toggleEmptyState(data.nodes.length === 0);
         }
+        // Comment threads shown in an open node modal
+        const modal = window.interactions && window.interactions.modal;
+        if (modal && modal.isOpen) {
+            modal.renderComments();
+        }
     }
 
     /**
@@ -388,6 +959,35 @@ class App {
         }
     }
 
+    /**
+     * Show who follows the conversation; clicking someone follows their viewport
+     */
+    updatePresence() {
+        const presenceEl = document.getElementById('presence');
+        if (!presenceEl) return;
+
+        presenceEl.innerHTML = '';
+        presenceEl.appendChild(document.createTextNode(`${this.presence.length} online`));
+
+        this.presence
+            .filter(client => client.client_id !== this.clientId)
+            .forEach(client => {
+                const button = document.createElement('button');
+                button.className = 'presence-chip';
+                button.textContent = client.name;
+                button.style.borderColor = client.color;
+                button.title = `${client.role}, idle ${Math.round(client.idle_ms / 1000)}s - click to follow`;
+                if (this.collaboration && this.collaboration.following === client.client_id) {
+                    button.classList.add('presence-chip-following');
+                    button.title = 'Following - click to stop';
+                }
+                if (this.collaboration) {
+                    button.addEventListener('click', () => this.collaboration.follow(client.client_id));
+                }
+                presenceEl.appendChild(button);
+            });
+    }
+
     /**
      * Update last update time
      */
@@ -411,7 +1011,7 @@ class App {
         // Load existing data
         let existingData;
         try {
-            const response = await fetch(this.flowDataPath);
+            const response = await fetch(this.flowDataPath, { headers: this.getAuthHeaders() });
             if (response.ok) {
                 existingData = await response.json();
             }
@@ -1,79 +1,195 @@
 #!/usr/bin/env node
 /**
  * Claude Flow Bridge
- * Send nodes to WebSocket server via HTTP API
+ * Send interactions to the WebSocket server via HTTP API, parsed with ParserV2
  * Usage: node bridge.js <input-text> <output-text>
+ *        node bridge.js --input-file prompt.txt --output - < response.md
+ *        node bridge.js hook [event]   (Claude Code hook command, payload on stdin)
+ *        node bridge.js run -- <command...>   (run a command, record it as terminal nodes)
+ *        node bridge.js flush   (send requests spooled while the server was unreachable)
+ *        node bridge.js state|clear|stats|conversations|tail [--conversation <id>] [--json]
+ *        node bridge.js export --format json|md|dot [--out <file>]
+ *        node bridge.js import <file> [--replace]
+ *        eval "$(node bridge.js init-shell bash|zsh)"   (record every interactive command)
+ *
+ * Requests that cannot reach the server are spooled and sent again, with the
+ * same idempotency key, on the next run or with `flush`.
  */
 
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const ParserV2 = require('./parser-v2');
+const ExportEngine = require('./export');
+const TranscriptImporter = require('./transcript-importer');
+const { ShellSession } = require('./shell-sessions');
 
 // Configuration
 const HOST = process.env.CLAUDE_FLOW_HOST || 'localhost';
 const PORT = process.env.CLAUDE_FLOW_PORT || 3000;
+const CONVERSATION = process.env.CLAUDE_FLOW_CONVERSATION || null;
+const PARSER_CONFIG = process.env.CLAUDE_FLOW_PARSER_CONFIG || path.join(__dirname, 'parser-config.json');
+const HOOK_TIMEOUT = parseInt(process.env.CLAUDE_FLOW_HOOK_TIMEOUT, 10) || 2000;
+const TOKEN = process.env.CLAUDE_FLOW_TOKEN || null; // Sent as Authorization: Bearer when set
+const POST_TIMEOUT = 5000;
 
-// Simple parser (inline version)
-class SimpleParser {
-    constructor() {
-        this.nodeIdCounter = 1;
-    }
+// `run` keeps the last output node per shell here, to link consecutive runs
+const STATE_DIR = process.env.CLAUDE_FLOW_STATE_DIR || path.join(os.tmpdir(), 'claude-flow');
+
+// Characters of command output kept for the nodes (everything is still shown);
+// well within the server's body limit for nodes (NODES_LIMIT, 10mb by default)
+const MAX_RUN_OUTPUT = 1024 * 1024;
+
+// Requests the server did not get are kept here and sent again later (see flushSpool)
+const SPOOL_DIR = process.env.CLAUDE_FLOW_SPOOL_DIR || path.join(STATE_DIR, 'spool');
+const SPOOL_BACKOFF_MS = 2000;
+const SPOOL_MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// How long `record` waits for the previous command of its shell to be recorded
+const RECORD_ORDER_TIMEOUT = 10000;
+
+// Options taking a value (everything else is a flag or a positional argument)
+const VALUE_OPTIONS = [
+    'input', 'input-file', 'output', 'output-file', 'conversation', 'config', 'format', 'out', 'since',
+    'shell', 'index', 'exit-code', 'duration', 'cwd'
+];
+
+// Exit codes of every subcommand
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1, // Unexpected failure (e.g. a file could not be read)
+    USAGE: 2, // Invalid arguments
+    UNREACHABLE: 3, // The server could not be reached (or the connection was lost)
+    REJECTED: 4 // The server refused the request or failed (4xx, 5xx)
+};
+
+// Nodes and edges per request when importing (requests are limited to 100kb)
+const IMPORT_BATCH_SIZE = 100;
+
+// Export formats of the `export` subcommand -> ExportEngine method
+const EXPORT_FORMATS = { json: 'exportToJSON', md: 'exportToMarkdown', dot: 'exportToDOT' };
+
+/**
+ * Split command line arguments into options and positional arguments
+ * Supports `--name value`, `--name=value` and `--` before positional arguments.
+ * @param {boolean} [stopAtPositional] - Everything from the first positional argument on is positional
+ *                                       (a command line and its own options)
+ * @returns {Object} - { options, positional }
+ */
+function parseArgs(args, stopAtPositional = false) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
 
-    generateId() {
-        return `node-${this.nodeIdCounter++}`;
+        if (arg === '--') {
+            positional.push(...args.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('--')) {
+            if (stopAtPositional) {
+                positional.push(...args.slice(i));
+                break;
+            }
+            positional.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const name = eq > 0 ? arg.slice(2, eq) : arg.slice(2);
+
+        if (eq > 0) {
+            options[name] = arg.slice(eq + 1);
+        } else if (VALUE_OPTIONS.includes(name)) {
+            if (i + 1 >= args.length) {
+                throw new Error(`--${name} needs a value`);
+            }
+            options[name] = args[++i];
+        } else {
+            options[name] = true;
+        }
     }
 
-    parseInteraction(inputText, outputText) {
-        const nodes = [];
-        const edges = [];
+    return { options, positional };
+}
 
-        // Create input node
-        const inputNode = {
-            id: this.generateId(),
-            type: 'input',
-            content: inputText,
-            parent_id: null,
-            timestamp: new Date().toISOString()
-        };
-        nodes.push(inputNode);
-
-        // Create output node
-        const outputNode = {
-            id: this.generateId(),
-            type: 'output',
-            content: outputText,
-            parent_id: inputNode.id,
-            timestamp: new Date().toISOString()
-        };
-        nodes.push(outputNode);
+/**
+ * Load the parser configuration (defaults when the default file does not exist)
+ */
+function loadParserConfig(file = PARSER_CONFIG) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' && file === PARSER_CONFIG) {
+            return null;
+        }
+        throw new Error(`Invalid parser config ${file}: ${error.message}`);
+    }
+}
 
-        // Create edge
-        edges.push({
-            from: inputNode.id,
-            to: outputNode.id
-        });
+/**
+ * Create a parser whose node IDs do not collide with earlier runs
+ */
+function createParser(config) {
+    const idPrefix = `node-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    return new ParserV2({ ...(config || {}), id_prefix: idPrefix });
+}
 
-        return { nodes, edges };
+/**
+ * Send nodes to server (spooled for a later retry if the server cannot be reached)
+ * @param {string} [conversationId] - Target conversation (the server's default without one)
+ * @param {number} [timeout] - Give up after this many ms (0 waits forever)
+ * @returns {Promise<Object>} - The server's response, or { spooled: true, key }
+ */
+function sendNodes(nodes, edges, conversationId = CONVERSATION, timeout = 0) {
+    const body = { nodes, edges };
+    if (conversationId) {
+        body.conversation_id = conversationId;
     }
+    return deliver('/api/nodes', body, timeout);
+}
+
+/**
+ * POST a JSON body to the server
+ * Rejected errors carry `statusCode` when the server answered.
+ * @param {number} [timeout] - Give up after this many ms (0 waits forever)
+ * @param {Object} [headers] - Extra request headers
+ */
+function postJson(urlPath, body, timeout = 0, headers = {}) {
+    return requestJson('POST', urlPath, body, { timeout, headers });
 }
 
 /**
- * Send nodes to server
+ * Headers authenticating requests to servers with tokens (CLAUDE_FLOW_TOKEN)
  */
-function sendNodes(nodes, edges) {
+function getAuthHeaders() {
+    return TOKEN ? { 'Authorization': `Bearer ${TOKEN}` } : {};
+}
+
+/**
+ * Send a request to the server and parse its JSON response
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path and query string
+ * @param {Object|string} [body] - JSON body, or raw text sent with options.contentType
+ * @param {Object} [options] - { timeout, headers, contentType }
+ */
+function requestJson(method, urlPath, body, options = {}) {
     return new Promise((resolve, reject) => {
-        const data = JSON.stringify({ nodes, edges });
-
-        const options = {
-            hostname: HOST,
-            port: PORT,
-            path: '/api/nodes',
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': data.length
-            }
-        };
+        const data = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+        const headers = { ...getAuthHeaders(), ...(options.headers || {}) };
 
-        const req = http.request(options, (res) => {
+        if (data !== null) {
+            headers['Content-Type'] = options.contentType || 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(data);
+        }
+
+        const req = http.request({ hostname: HOST, port: PORT, path: urlPath, method, headers }, (res) => {
             let responseData = '';
 
             res.on('data', (chunk) => {
@@ -81,10 +197,16 @@ function sendNodes(nodes, edges) {
             });
 
             res.on('end', () => {
-                if (res.statusCode === 200) {
-                    resolve(JSON.parse(responseData));
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    try {
+                        resolve(JSON.parse(responseData));
+                    } catch (error) {
+                        reject(new Error(`Invalid response from server: ${error.message}`));
+                    }
                 } else {
-                    reject(new Error(`Server returned ${res.statusCode}: ${responseData}`));
+                    const error = new Error(`Server returned ${res.statusCode}: ${responseData}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
                 }
             });
         });
@@ -93,53 +215,1101 @@ function sendNodes(nodes, edges) {
             reject(error);
         });
 
-        req.write(data);
+        if (options.timeout > 0) {
+            req.setTimeout(options.timeout, () => {
+                req.destroy(new Error(`No response within ${options.timeout}ms`));
+            });
+        }
+
+        if (data !== null) {
+            req.write(data);
+        }
         req.end();
     });
 }
 
 /**
- * Main function
+ * Check whether a failed request may succeed later (server down, overloaded or failing)
  */
-async function main() {
-    const args = process.argv.slice(2);
+function isRetryable(error) {
+    return !error.statusCode || error.statusCode >= 500 || error.statusCode === 408 || error.statusCode === 429;
+}
+
+/**
+ * List spooled requests, oldest first
+ * @returns {Array} - [{ file, entry }]
+ */
+function readSpool() {
+    let files;
+    try {
+        files = fs.readdirSync(SPOOL_DIR).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+        return [];
+    }
+
+    const spooled = [];
+    files.forEach(name => {
+        const file = path.join(SPOOL_DIR, name);
+        try {
+            spooled.push({ file, entry: JSON.parse(fs.readFileSync(file, 'utf8')) });
+        } catch (error) {
+            // Half-written by a process that was killed, or removed by a concurrent flush
+        }
+    });
+    return spooled;
+}
+
+/**
+ * Write a spool entry atomically (temp file + rename)
+ */
+function writeSpoolEntry(file, entry) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(entry, null, 2));
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Keep a request for a later retry
+ */
+function spoolRequest(urlPath, body, key, error) {
+    const now = Date.now();
+    const file = path.join(SPOOL_DIR, `${now}-${process.pid}-${key.slice(0, 8)}.json`);
+
+    writeSpoolEntry(file, {
+        key,
+        path: urlPath,
+        body,
+        attempts: 1,
+        created_at: new Date(now).toISOString(),
+        next_attempt_at: new Date(now + SPOOL_BACKOFF_MS).toISOString(),
+        last_error: error.message
+    });
+}
+
+/**
+ * Send spooled requests, oldest first, with their original idempotency keys
+ * (the server answers a request it already handled without applying it twice).
+ * Stops at the first request the server cannot take yet, so requests keep their order.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignore the backoff (`bridge.js flush`)
+ * @param {number} [options.timeout] - Timeout per request in ms
+ * @param {number} [options.budget] - Stop sending after this many ms in total (default: no limit)
+ * @returns {Promise<Object>} - { sent, rejected, remaining, error }
+ */
+async function flushSpool(options = {}) {
+    const spooled = readSpool();
+    const result = { sent: 0, rejected: 0, remaining: spooled.length, error: null };
+    const deadline = options.budget ? Date.now() + options.budget : Infinity;
+    let force = Boolean(options.force);
+
+    for (const { file, entry } of spooled) {
+        const now = Date.now();
+        if (!force && Date.parse(entry.next_attempt_at) > now) {
+            break;
+        }
+        if (now >= deadline) {
+            result.error = 'Flush time budget used up';
+            break;
+        }
+
+        try {
+            const timeout = Math.min(options.timeout || POST_TIMEOUT, deadline - now);
+            await postJson(entry.path, entry.body, timeout, { 'Idempotency-Key': entry.key });
+            result.sent++;
+            // The server is reachable: no reason to wait for the backoff of the others
+            force = true;
+        } catch (error) {
+            if (isRetryable(error)) {
+                const backoff = Math.min(SPOOL_BACKOFF_MS * Math.pow(2, entry.attempts), SPOOL_MAX_BACKOFF_MS);
+                writeSpoolEntry(file, {
+                    ...entry,
+                    attempts: entry.attempts + 1,
+                    next_attempt_at: new Date(now + backoff).toISOString(),
+                    last_error: error.message
+                });
+                result.error = error.message;
+                break;
+            }
+
+            // The server refused it (e.g. validation): sending it again would not help
+            const rejectedFile = path.join(SPOOL_DIR, 'rejected', path.basename(file));
+            writeSpoolEntry(rejectedFile, { ...entry, last_error: error.message });
+            console.error(`claude-flow: spooled request ${entry.key} was rejected (${error.message}), moved to ${rejectedFile}`);
+            result.rejected++;
+        }
+
+        try {
+            fs.unlinkSync(file);
+        } catch (error) {
+            // Already sent by a concurrent flush
+        }
+        result.remaining--;
+    }
+
+    return result;
+}
+
+/**
+ * POST a request with an idempotency key; spool it if the server cannot take it now
+ * Spooled requests are sent first, and while some remain new ones queue up behind them.
+ * @param {Object} [options]
+ * @param {number} [options.flushBudget] - Time in ms spooled requests may take (hooks must not block Claude Code)
+ * @returns {Promise<Object>} - The server's response, or { spooled: true, key }
+ */
+async function deliver(urlPath, body, timeout = 0, options = {}) {
+    const key = crypto.randomUUID();
+
+    const flushed = await flushSpool({ timeout: timeout || POST_TIMEOUT, budget: options.flushBudget });
+    if (flushed.remaining > 0) {
+        spoolRequest(urlPath, body, key, new Error(flushed.error || 'Queued behind spooled requests'));
+        return { spooled: true, key };
+    }
+
+    try {
+        return await postJson(urlPath, body, timeout, { 'Idempotency-Key': key });
+    } catch (error) {
+        if (!isRetryable(error)) {
+            throw error;
+        }
+        spoolRequest(urlPath, body, key, error);
+        return { spooled: true, key };
+    }
+}
+
+/**
+ * Read all of stdin
+ */
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let input = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => {
+            input += chunk;
+        });
+        process.stdin.on('end', () => resolve(input));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Read the text of an option: a value, a file, or stdin ("-")
+ * @param {string} [value] - Literal text (or "-")
+ * @param {string} [file] - File path (or "-")
+ * @returns {Promise<string|null>} - null when neither is given
+ */
+async function readTextOption(value, file) {
+    if (value === '-' || file === '-') {
+        return readStdin();
+    }
+    if (file !== undefined) {
+        return fs.promises.readFile(file, 'utf8');
+    }
+    return value !== undefined ? String(value) : null;
+}
+
+/**
+ * `hook` subcommand: forward a Claude Code hook payload (stdin) to the server
+ * Never fails the hook: Claude Code keeps working when the server is down.
+ * Nothing is printed to stdout, which Claude Code would add to the conversation.
+ */
+async function runHook(args) {
+    try {
+        const { options, positional } = parseArgs(args);
+        const payload = JSON.parse(await readStdin());
+        const event = positional[0] || payload.hook_event_name;
+        const conversationId = options.conversation || CONVERSATION;
+
+        if (!event) {
+            throw new Error('No hook event (pass it as argument or in hook_event_name)');
+        }
+
+        const query = conversationId ? `?conversation=${encodeURIComponent(conversationId)}` : '';
+        await deliver(`/api/hooks/${encodeURIComponent(event)}${query}`, payload, HOOK_TIMEOUT, { flushBudget: HOOK_TIMEOUT });
+    } catch (error) {
+        console.error(`claude-flow hook: ${error.message}`);
+    }
+}
+
+/**
+ * Identify the shell `run` was started from (CLAUDE_FLOW_SHELL_ID, or the parent process)
+ */
+function getShellId() {
+    const shellId = process.env.CLAUDE_FLOW_SHELL_ID || `pid-${process.ppid}`;
+    return shellId.replace(/[^A-Za-z0-9_.-]/g, '-');
+}
+
+/**
+ * Where a shell's `run` state is kept
+ */
+function getShellStateFile(shellId) {
+    return path.join(STATE_DIR, `shell-${shellId}.json`);
+}
+
+/**
+ * Read a shell's `run` state: { <conversation>: { previous_output_id, command_index } }
+ * (`record` keeps { recorded_index } instead)
+ */
+function readShellState(shellId) {
+    try {
+        return JSON.parse(fs.readFileSync(getShellStateFile(shellId), 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Write a shell's `run` state
+ */
+function writeShellState(shellId, state) {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(getShellStateFile(shellId), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Quote a command line argument for display, if needed
+ */
+function quoteArg(arg) {
+    return /^[A-Za-z0-9_\/.,:=@%+-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Run a command, showing its output as it comes
+ * A single argument is a shell command line ("ls | wc -l"), several are a program and its arguments.
+ * @returns {Promise<Object>} - { output, exit_code, signal, duration_ms, error }
+ */
+function executeCommand(commandArgs) {
+    return new Promise(resolve => {
+        const startTime = Date.now();
+        let output = '';
+        let child;
+
+        const finish = (exitCode, signal, error = null) => {
+            process.removeListener('SIGINT', ignoreInterrupt);
+            resolve({ output, exit_code: exitCode, signal, duration_ms: Date.now() - startTime, error });
+        };
+
+        // Ctrl+C reaches the command (same process group); stay alive to record how it ended
+        const ignoreInterrupt = () => {};
+        process.on('SIGINT', ignoreInterrupt);
+
+        try {
+            child = commandArgs.length === 1
+                ? spawn(commandArgs[0], [], { shell: true, stdio: ['inherit', 'pipe', 'pipe'] })
+                : spawn(commandArgs[0], commandArgs.slice(1), { stdio: ['inherit', 'pipe', 'pipe'] });
+        } catch (error) {
+            finish(127, null, error.message);
+            return;
+        }
+
+        const tee = target => chunk => {
+            target.write(chunk);
+            if (output.length < MAX_RUN_OUTPUT) {
+                output += chunk.slice(0, MAX_RUN_OUTPUT - output.length);
+            }
+        };
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', tee(process.stdout));
+        child.stderr.on('data', tee(process.stderr));
+
+        child.on('error', error => {
+            // Report a missing program like a shell would
+            const message = `${commandArgs[0]}: ${error.code === 'ENOENT' ? 'command not found' : error.message}`;
+            console.error(message);
+            output += message + '\n';
+            finish(127, null, error.message);
+        });
+
+        child.on('close', (code, signal) => finish(code, signal));
+    });
+}
+
+/**
+ * `run` subcommand: run a command and record it as terminal nodes
+ * The command's output and exit code pass through unchanged; failing to
+ * reach the server is only reported on stderr.
+ */
+async function runCommand(args) {
+    const { options, positional: commandArgs } = parseArgs(args, true);
+
+    if (commandArgs.length === 0) {
+        console.error('Usage: node bridge.js run [--conversation <id>] -- <command...>');
+        process.exit(EXIT_CODES.USAGE);
+    }
+
+    const command = commandArgs.length === 1 ? commandArgs[0] : commandArgs.map(quoteArg).join(' ');
+    const cwd = process.cwd();
+    const gitBranch = ShellSession.findGitBranch(cwd);
+
+    const result = await executeCommand(commandArgs);
+    const exitCode = result.exit_code !== null ? result.exit_code : 128 + (os.constants.signals[result.signal] || 0);
+
+    const conversationId = options.conversation || CONVERSATION;
+    const stateKey = conversationId || 'default';
+    const shellId = getShellId();
+    const shellState = readShellState(shellId);
+    const previous = shellState[stateKey] || { previous_output_id: null, command_index: 0 };
+
+    const parser = createParser(loadParserConfig(options.config));
+    const { nodes, edges, lastOutputId } = parser.parseTerminalExecution(command, {
+        success: exitCode === 0,
+        output: result.output,
+        exit_code: exitCode,
+        duration_ms: result.duration_ms,
+        status: result.signal === 'SIGINT' ? 'cancelled' : undefined
+    }, {
+        session_id: shellId,
+        command_index: previous.command_index,
+        previous_output_id: previous.previous_output_id,
+        cwd,
+        git_branch: gitBranch
+    });
+
+    try {
+        const response = await sendNodes(nodes, edges, conversationId, POST_TIMEOUT);
+        const idMap = response.id_map || {};
+
+        if (response.spooled) {
+            console.error('claude-flow run: server unreachable, the command will be recorded on the next run (or `bridge.js flush`)');
+        }
+
+        shellState[stateKey] = {
+            previous_output_id: idMap[lastOutputId] || lastOutputId,
+            command_index: previous.command_index + 1
+        };
+        writeShellState(shellId, shellState);
+    } catch (error) {
+        console.error(`claude-flow run: could not record the command (${error.message})`);
+    }
+
+    process.exit(exitCode);
+}
+
+/**
+ * `flush` subcommand: send every spooled request now, ignoring the backoff
+ */
+async function runFlush() {
+    const pending = readSpool().length;
+    if (pending === 0) {
+        console.log('Spool is empty');
+        return;
+    }
+
+    const result = await flushSpool({ force: true });
+
+    console.log(`Sent ${result.sent} of ${pending} spooled request(s)`);
+    if (result.rejected > 0) {
+        console.log(`  Rejected by the server: ${result.rejected} (kept in ${path.join(SPOOL_DIR, 'rejected')})`);
+    }
+    if (result.remaining > 0) {
+        console.error(`  Still spooled: ${result.remaining} (${result.error})`);
+        process.exit(EXIT_CODES.UNREACHABLE);
+    }
+}
+
+/**
+ * `record` subcommand: record a command that already ran in an interactive shell
+ * (called in the background by the init-shell snippet after every command)
+ *
+ * The snippet numbers the commands of each shell and node IDs derive from that
+ * number. Records of one shell wait for each other, so every command reaches the
+ * server after the one it links to.
+ */
+async function runRecord(options, positional) {
+    const command = positional.join(' ');
+    const index = Number(options.index);
+    if (!command.trim() || !options.shell || !Number.isInteger(index) || index < 1) {
+        throw cliError('Usage: node bridge.js record --shell <id> --index <n> [--exit-code <n>] [--duration <ms>] [--cwd <dir>] -- <command>',
+            EXIT_CODES.USAGE);
+    }
+
+    const shellId = String(options.shell).replace(/[^A-Za-z0-9_.-]/g, '-');
+    const exitCode = Number(options['exit-code']) || 0;
+    const durationMs = Number(options.duration) || 0;
+    const cwd = options.cwd || process.cwd();
+    const nodeId = n => `node-shell-${shellId}-${n}`;
+
+    const parser = createParser(loadParserConfig(options.config));
+    const { nodes, edges } = parser.parseTerminalExecution(command, {
+        success: exitCode === 0,
+        // The output stays in the terminal; the node shows how the command ended
+        output: `exit ${exitCode} after ${durationMs} ms`,
+        exit_code: exitCode,
+        duration_ms: durationMs
+    }, {
+        session_id: shellId,
+        command_index: index - 1,
+        previous_output_id: index > 1 ? `${nodeId(index - 1)}-out` : null,
+        cwd,
+        git_branch: ShellSession.findGitBranch(cwd),
+        input_id: `${nodeId(index)}-cmd`,
+        output_id: `${nodeId(index)}-out`
+    });
+
+    const conversationId = options.conversation || CONVERSATION;
+    const stateKey = conversationId || 'default';
+    const isRecorded = n => {
+        const entry = readShellState(shellId)[stateKey];
+        return Boolean(entry) && entry.recorded_index >= n;
+    };
+
+    // Give up waiting when the previous record died, rather than never recording
+    const deadline = Date.now() + RECORD_ORDER_TIMEOUT;
+    while (index > 1 && !isRecorded(index - 1) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    try {
+        const result = await sendNodes(nodes, edges, conversationId, POST_TIMEOUT);
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        }
+    } finally {
+        if (!isRecorded(index)) {
+            const shellState = readShellState(shellId);
+            shellState[stateKey] = { recorded_index: index };
+            writeShellState(shellId, shellState);
+        }
+    }
+}
+
+/**
+ * Shell integration snippets (bash, zsh), printed by `init-shell`
+ * @param {string} record - Command line recording one command (`node bridge.js record ...`)
+ */
+const SHELL_SNIPPETS = {
+    // Command lines come from the history: the DEBUG trap only sees simple commands, not pipelines
+    bash: record => `# claude-flow: record every command line as terminal nodes
+__claude_flow_shell="bash-$$-\${EPOCHSECONDS:-$(date +%s)}"
+__claude_flow_index=0
+__claude_flow_armed=
+__claude_flow_last=
+
+__claude_flow_now() {
+    if [ -n "$EPOCHREALTIME" ]; then
+        __claude_flow_time=\${EPOCHREALTIME/[.,]/}
+    else
+        __claude_flow_time=$(( SECONDS * 1000000 ))
+    fi
+}
+
+__claude_flow_preexec() {
+    # Once per command line, and not for completion functions
+    [ -n "$__claude_flow_armed" ] && [ -z "$COMP_LINE" ] || return 0
+    __claude_flow_armed=
+    __claude_flow_now
+    __claude_flow_start=$__claude_flow_time
+}
+
+__claude_flow_record() {
+    local exit_code=$1 entry duration
+    entry=$(HISTTIMEFORMAT= builtin history 1)
+    [[ $entry =~ ^[[:space:]]*([0-9]+)[*]?[[:space:]]+(.*)$ ]] || return 0
+
+    # Same history entry as at the last prompt: an empty line, or a command kept out of the history
+    if [ -z "$__claude_flow_last" ] || [ "\${BASH_REMATCH[1]}" = "$__claude_flow_last" ]; then
+        __claude_flow_last=\${BASH_REMATCH[1]}
+        return 0
+    fi
+    __claude_flow_last=\${BASH_REMATCH[1]}
+    [[ \${BASH_REMATCH[2]} = *[![:space:]]* ]] || return 0
+
+    __claude_flow_now
+    duration=$(( (__claude_flow_time - __claude_flow_start) / 1000 ))
+    __claude_flow_index=$(( __claude_flow_index + 1 ))
+    ( ${record} --shell "$__claude_flow_shell" --index "$__claude_flow_index" \\
+        --exit-code "$exit_code" --duration "$duration" --cwd "$PWD" -- "\${BASH_REMATCH[2]}" >/dev/null 2>&1 & )
+}
+
+__claude_flow_precmd() {
+    local exit_code=$?
+    [ -n "$__claude_flow_armed" ] || __claude_flow_record "$exit_code"
+    __claude_flow_armed=1
+    return "$exit_code"
+}
+
+if declare -p preexec_functions >/dev/null 2>&1 && declare -p precmd_functions >/dev/null 2>&1; then
+    # bash-preexec owns the DEBUG trap
+    preexec_functions+=(__claude_flow_preexec)
+    precmd_functions=(__claude_flow_precmd "\${precmd_functions[@]}")
+else
+    trap '__claude_flow_preexec' DEBUG
+    PROMPT_COMMAND="__claude_flow_precmd\${PROMPT_COMMAND:+; $PROMPT_COMMAND}"
+fi
+`,
+
+    zsh: record => `# claude-flow: record every command line as terminal nodes
+zmodload zsh/datetime
+autoload -Uz add-zsh-hook
+
+typeset -g __claude_flow_shell="zsh-$$-$EPOCHSECONDS"
+typeset -gi __claude_flow_index=0
+typeset -g __claude_flow_command= __claude_flow_start=
+
+__claude_flow_preexec() {
+    __claude_flow_command=$1
+    __claude_flow_start=$EPOCHREALTIME
+}
+
+__claude_flow_precmd() {
+    local exit_code=$?
+    [[ $__claude_flow_command = *[^[:space:]]* ]] || return $exit_code
+
+    local -i duration=$(( (EPOCHREALTIME - __claude_flow_start) * 1000 ))
+    (( __claude_flow_index++ ))
+    ${record} --shell "$__claude_flow_shell" --index "$__claude_flow_index" \\
+        --exit-code "$exit_code" --duration "$duration" --cwd "$PWD" -- "$__claude_flow_command" &>/dev/null &!
+    __claude_flow_command=
+    return $exit_code
+}
+
+add-zsh-hook preexec __claude_flow_preexec
+# First, so it sees the command's exit status
+precmd_functions=(__claude_flow_precmd \${precmd_functions:#__claude_flow_precmd})
+`
+};
+
+/**
+ * `init-shell` subcommand: print the integration snippet for a shell
+ * Usage in ~/.bashrc or ~/.zshrc: eval "$(node /path/to/bridge.js init-shell bash)"
+ */
+async function runInitShell(options, positional) {
+    const shell = positional[0] || path.basename(process.env.SHELL || '');
+    if (!SHELL_SNIPPETS[shell]) {
+        throw cliError(`Usage: node bridge.js init-shell bash|zsh [--conversation <id>]` +
+            (shell ? ` (unsupported shell "${shell}")` : ''), EXIT_CODES.USAGE);
+    }
+
+    let record = `${quoteArg(process.execPath)} ${quoteArg(path.resolve(__filename))} record`;
+    if (options.conversation) {
+        record += ` --conversation ${quoteArg(options.conversation)}`;
+    }
+
+    process.stdout.write(SHELL_SNIPPETS[shell](record));
+}
+
+/**
+ * Create an error that ends the CLI with a given exit code
+ */
+function cliError(message, exitCode) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+/**
+ * Exit code for an error: its own, or derived from how the request failed
+ */
+function getExitCode(error) {
+    if (error.exitCode !== undefined) {
+        return error.exitCode;
+    }
+    if (error.statusCode) {
+        return EXIT_CODES.REJECTED;
+    }
+    if (['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'ETIMEDOUT'].includes(error.code) ||
+        /^No response within/.test(error.message)) {
+        return EXIT_CODES.UNREACHABLE;
+    }
+    return EXIT_CODES.ERROR;
+}
+
+/**
+ * Append the conversation to a path as query parameter
+ */
+function withConversation(urlPath, conversationId) {
+    if (!conversationId) {
+        return urlPath;
+    }
+    const separator = urlPath.includes('?') ? '&' : '?';
+    return `${urlPath}${separator}conversation_id=${encodeURIComponent(conversationId)}`;
+}
 
-    if (args.length < 2) {
-        console.error('Usage: node bridge.js <input-text> <output-text>');
-        console.error('');
-        console.error('Environment variables:');
-        console.error('  CLAUDE_FLOW_HOST - Server host (default: localhost)');
-        console.error('  CLAUDE_FLOW_PORT - Server port (default: 3000)');
-        process.exit(1);
+/**
+ * Print a result: as JSON with --json, otherwise through the human-readable formatter
+ */
+function printResult(options, data, format) {
+    if (options.json) {
+        console.log(JSON.stringify(data, null, 2));
+    } else {
+        format(data);
     }
+}
+
+/**
+ * First line of a node's text, cut to a length
+ */
+function summarizeNode(node, length = 60) {
+    const line = String(node.title || node.content || '').split('\n')[0];
+    return line.length > length ? line.slice(0, length - 1) + '…' : line;
+}
+
+/**
+ * Count items per type
+ */
+function countByType(items) {
+    const counts = {};
+    items.forEach(item => {
+        const type = item.type || 'unknown';
+        counts[type] = (counts[type] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Get the flow of a conversation
+ */
+async function fetchState(conversationId) {
+    return requestJson('GET', withConversation('/api/state', conversationId), undefined, { timeout: POST_TIMEOUT });
+}
 
-    const inputText = args[0];
-    const outputText = args[1];
+/**
+ * `state` subcommand: print the nodes and edges of a conversation
+ */
+async function runState(options) {
+    const state = await fetchState(options.conversation || CONVERSATION);
+
+    printResult(options, state, ({ conversation_id: conversationId, flow_data: flowData }) => {
+        console.log(`Conversation: ${conversationId} (seq ${flowData.seq || 0})`);
+        console.log(`${flowData.nodes.length} nodes, ${flowData.edges.length} edges`);
+        flowData.nodes.forEach(node => {
+            console.log(`  ${node.id.padEnd(36)} ${String(node.type).padEnd(16)} ${summarizeNode(node)}`);
+        });
+    });
+}
 
-    console.log('Claude Flow Bridge');
-    console.log('==================');
-    console.log(`Server: ${HOST}:${PORT}`);
-    console.log(`Input: ${inputText.substring(0, 50)}...`);
-    console.log(`Output: ${outputText.substring(0, 50)}...`);
-    console.log('');
+/**
+ * `clear` subcommand: remove every node and edge of a conversation
+ */
+async function runClear(options) {
+    const conversationId = options.conversation || CONVERSATION;
+    const result = await postJson('/api/clear', conversationId ? { conversation_id: conversationId } : {}, POST_TIMEOUT);
+
+    printResult(options, result, data => {
+        console.log(`Cleared conversation ${data.conversation_id} (seq ${data.seq})`);
+    });
+}
+
+/**
+ * `export` subcommand: write a conversation as JSON, Markdown or Graphviz DOT
+ */
+async function runExport(options) {
+    const format = options.format || 'json';
+    if (!EXPORT_FORMATS[format]) {
+        throw cliError(`Unknown export format "${format}" (json, md or dot)`, EXIT_CODES.USAGE);
+    }
+
+    const { conversation_id: conversationId, flow_data: flowData } = await fetchState(options.conversation || CONVERSATION);
+    const blob = await new ExportEngine(null, null)[EXPORT_FORMATS[format]](flowData);
+    const text = await blob.text();
+
+    if (!options.out) {
+        process.stdout.write(text);
+        return;
+    }
+
+    fs.writeFileSync(options.out, text);
+    printResult(options, {
+        conversation_id: conversationId,
+        format,
+        file: options.out,
+        nodes: flowData.nodes.length,
+        edges: flowData.edges.length
+    }, data => {
+        console.log(`Exported ${data.nodes} nodes and ${data.edges} edges of ${data.conversation_id} to ${data.file}`);
+    });
+}
+
+/**
+ * `import` subcommand: add the nodes of an exported flow (JSON) or a Claude Code transcript (JSONL)
+ */
+async function runImport(options, positional) {
+    const file = positional[0];
+    if (!file) {
+        throw cliError('Usage: node bridge.js import <file> [--conversation <id>] [--replace]', EXIT_CODES.USAGE);
+    }
+
+    const text = await readTextOption(undefined, file);
+    const conversationId = options.conversation || CONVERSATION;
+
+    if (file.endsWith('.jsonl') || TranscriptImporter.isTranscript(text)) {
+        let urlPath = withConversation('/api/import/transcript', conversationId);
+        if (options.replace) {
+            urlPath += `${urlPath.includes('?') ? '&' : '?'}replace=true`;
+        }
+
+        const result = await requestJson('POST', urlPath, text, { contentType: 'application/x-ndjson' });
+        printResult(options, result, data => {
+            console.log(`Imported transcript into ${data.conversation_id}: ${data.nodes_added} nodes, ${data.edges_added} edges` +
+                (data.duplicates_skipped ? ` (${data.duplicates_skipped} already there)` : ''));
+        });
+        return;
+    }
 
+    let parsed;
     try {
-        // Parse interaction
-        const parser = new SimpleParser();
-        const { nodes, edges } = parser.parseInteraction(inputText, outputText);
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw cliError(`${file} is neither a flow export (JSON) nor a transcript (JSONL): ${error.message}`, EXIT_CODES.ERROR);
+    }
+
+    // Exports wrap the flow in { version, data }
+    const flowData = parsed && parsed.data && Array.isArray(parsed.data.nodes) ? parsed.data : parsed;
+    if (!flowData || !Array.isArray(flowData.nodes)) {
+        throw cliError(`${file} has no nodes`, EXIT_CODES.ERROR);
+    }
+
+    if (options.replace) {
+        await postJson('/api/clear', conversationId ? { conversation_id: conversationId } : {}, POST_TIMEOUT);
+    }
+
+    // Nodes first, then edges, in batches; edges follow nodes the server gave new IDs
+    const result = { conversation_id: conversationId || 'default', nodes_added: 0, edges_added: 0, issues: [] };
+    const idMap = {};
+    const send = async (nodes, edges) => {
+        const body = { nodes, edges };
+        if (conversationId) body.conversation_id = conversationId;
+        const response = await postJson('/api/nodes', body, POST_TIMEOUT);
+
+        Object.assign(idMap, response.id_map || {});
+        result.conversation_id = response.conversation_id;
+        result.nodes_added += response.nodes_added;
+        result.edges_added += response.edges_added;
+        result.issues.push(...(response.issues || []));
+    };
+
+    const edges = flowData.edges || [];
+    for (let i = 0; i < flowData.nodes.length; i += IMPORT_BATCH_SIZE) {
+        await send(flowData.nodes.slice(i, i + IMPORT_BATCH_SIZE), []);
+    }
+    for (let i = 0; i < edges.length; i += IMPORT_BATCH_SIZE) {
+        await send([], edges.slice(i, i + IMPORT_BATCH_SIZE).map(edge => ({
+            ...edge,
+            from: idMap[edge.from] || edge.from,
+            to: idMap[edge.to] || edge.to
+        })));
+    }
+
+    printResult(options, result, data => {
+        console.log(`Imported ${data.nodes_added} nodes and ${data.edges_added} edges into ${data.conversation_id}`);
+        if (data.issues.length > 0) {
+            console.log(`  ${data.issues.length} validation issue(s), see --json`);
+        }
+    });
+}
+
+/**
+ * Print one live message of `tail`
+ */
+function printTailMessage(message) {
+    const seq = message.seq !== undefined ? `[${message.seq}]` : '';
+
+    switch (message.type) {
+        case 'node_update':
+            (message.nodes || []).forEach(node => {
+                console.log(`${seq} + ${node.id} ${node.type}: ${summarizeNode(node)}`);
+            });
+            (message.edges || []).forEach(edge => {
+                console.log(`${seq} + edge ${edge.from} -> ${edge.to}`);
+            });
+            break;
+        case 'edge_update':
+            (message.edges || []).forEach(edge => {
+                console.log(`${seq} + edge ${edge.from} -> ${edge.to}`);
+            });
+            break;
+        case 'node_patch':
+        case 'edge_patch':
+            console.log(`${seq} ~ ${message.id} ${Object.keys(message.changes || {}).join(', ')}`);
+            break;
+        case 'node_delete':
+        case 'edge_delete':
+            console.log(`${seq} - ${message.id}`);
+            break;
+        case 'clear':
+            console.log(`${seq} cleared`);
+            break;
+        case 'error':
+            console.error(`Server error: ${message.error || message.message}`);
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * `tail` subcommand: follow a conversation's live updates over WebSocket until Ctrl+C
+ * --json prints one message per line; --since <seq> starts with the events after seq.
+ */
+function runTail(options) {
+    const conversationId = options.conversation || CONVERSATION || 'default';
+    const query = new URLSearchParams({ conversation: conversationId });
+    if (options.since !== undefined) {
+        query.set('since', options.since);
+    }
+
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://${HOST}:${PORT}/?${query}`, { headers: getAuthHeaders() });
+        let stopped = false;
+
+        const show = message => {
+            if (options.json) {
+                console.log(JSON.stringify(message));
+            } else {
+                printTailMessage(message);
+            }
+        };
+
+        process.on('SIGINT', () => {
+            stopped = true;
+            ws.close();
+        });
+
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return;
+            }
+
+            if (message.type === 'ping') {
+                ws.send(JSON.stringify({ type: 'pong', timestamp: new Date().toISOString() }));
+            } else if (message.type === 'state') {
+                if (!options.json) {
+                    const flowData = message.flow_data || message.data || {};
+                    console.log(`Following ${conversationId} (seq ${message.seq !== undefined ? message.seq : flowData.seq || 0}), Ctrl+C to stop`);
+                }
+            } else if (message.type === 'delta') {
+                (message.events || []).forEach(show);
+            } else if (message.type !== 'pong') {
+                show(message);
+            }
+        });
+
+        ws.on('error', error => {
+            if (!stopped) reject(error);
+        });
+
+        ws.on('close', code => {
+            if (stopped) {
+                resolve();
+            } else if (code === 4401) {
+                reject(cliError('The server refused the token (set CLAUDE_FLOW_TOKEN)', EXIT_CODES.REJECTED));
+            } else {
+                reject(cliError('Connection to the server was lost', EXIT_CODES.UNREACHABLE));
+            }
+        });
+    });
+}
+
+/**
+ * `stats` subcommand: node and edge counts of a conversation, and server totals
+ */
+async function runStats(options) {
+    const conversationId = options.conversation || CONVERSATION;
+    const [{ flow_data: flowData }, health] = await Promise.all([
+        fetchState(conversationId),
+        requestJson('GET', '/api/health', undefined, { timeout: POST_TIMEOUT })
+    ]);
+
+    const stats = {
+        conversation_id: flowData.conversation_id,
+        seq: flowData.seq || 0,
+        nodes: flowData.nodes.length,
+        edges: flowData.edges.length,
+        nodes_by_type: countByType(flowData.nodes),
+        edges_by_type: countByType(flowData.edges),
+        server: health
+    };
+
+    printResult(options, stats, data => {
+        console.log(`Conversation: ${data.conversation_id} (seq ${data.seq})`);
+        console.log(`  Nodes: ${data.nodes}`);
+        Object.entries(data.nodes_by_type).forEach(([type, count]) => console.log(`    ${type.padEnd(20)} ${count}`));
+        console.log(`  Edges: ${data.edges}`);
+        Object.entries(data.edges_by_type).forEach(([type, count]) => console.log(`    ${type.padEnd(20)} ${count}`));
+        console.log(`Server: up ${Math.round(data.server.uptime)}s, ${data.server.clients} clients, ` +
+            `${data.server.conversations} conversations, ${data.server.nodes} nodes, ${data.server.edges} edges`);
+    });
+}
+
+/**
+ * `conversations` subcommand: list the conversations known to the server
+ */
+async function runConversations(options) {
+    const result = await requestJson('GET', '/api/conversations', undefined, { timeout: POST_TIMEOUT });
+
+    printResult(options, result, ({ conversations }) => {
+        if (conversations.length === 0) {
+            console.log('No conversations');
+            return;
+        }
+        console.log(`${'CONVERSATION'.padEnd(40)} ${'NODES'.padStart(6)} ${'EDGES'.padStart(6)} ${'CLIENTS'.padStart(8)}`);
+        conversations.forEach(item => {
+            console.log(`${item.conversation_id.padEnd(40)} ${String(item.nodes).padStart(6)} ` +
+                `${String(item.edges).padStart(6)} ${String(item.subscribers).padStart(8)}`);
+        });
+    });
+}
+
+/**
+ * Default command: send one interaction (input and output text)
+ */
+async function runInteraction(options, positional) {
+    if ((options.input === '-' || options['input-file'] === '-') &&
+        (options.output === '-' || options['output-file'] === '-')) {
+        throw cliError('Only one of the input and the output can come from stdin', EXIT_CODES.USAGE);
+    }
+
+    const inputText = await readTextOption(
+        options.input !== undefined ? options.input : positional[0], options['input-file']);
+    const outputText = await readTextOption(
+        options.output !== undefined ? options.output : positional[1], options['output-file']);
+
+    if (inputText === null || outputText === null) {
+        printUsage();
+        throw cliError('Missing input or output text', EXIT_CODES.USAGE);
+    }
+
+    const conversationId = options.conversation || CONVERSATION;
+    const log = options.json ? () => {} : console.log;
+
+    log('Claude Flow Bridge');
+    log('==================');
+    log(`Server: ${HOST}:${PORT}`);
+    log(`Conversation: ${conversationId || 'default'}`);
+    log(`Input: ${inputText.substring(0, 50)}...`);
+    log(`Output: ${outputText.substring(0, 50)}...`);
+    log('');
 
-        console.log(`Parsed ${nodes.length} nodes and ${edges.length} edges`);
+    // Parse interaction
+    const parser = createParser(loadParserConfig(options.config));
+    const { nodes, edges } = parser.parseInteraction(inputText, outputText);
 
-        // Send to server
-        const result = await sendNodes(nodes, edges);
+    log(`Parsed ${nodes.length} nodes and ${edges.length} edges`);
+
+    // Send to server
+    const result = await sendNodes(nodes, edges, conversationId);
+
+    printResult(options, result, data => {
+        if (data.spooled) {
+            console.log(`Server unreachable: saved to ${SPOOL_DIR}`);
+            console.log('It is sent on the next bridge run, or with `node bridge.js flush`');
+            return;
+        }
 
         console.log('Success!');
-        console.log(`  Nodes added: ${result.nodes_added}`);
-        console.log(`  Edges added: ${result.edges_added}`);
-        console.log(`  Clients notified: ${result.clients_notified}`);
+        console.log(`  Nodes added: ${data.nodes_added}`);
+        console.log(`  Edges added: ${data.edges_added}`);
+        console.log(`  Clients notified: ${data.clients_notified}`);
+    });
+}
+
+/**
+ * Print usage
+ */
+function printUsage() {
+    console.error('Usage: node bridge.js <input-text> <output-text>');
+    console.error('       node bridge.js [options]');
+    console.error('       node bridge.js <command> [options]');
+    console.error('');
+    console.error('Commands:');
+    console.error('  state                   Print the nodes of a conversation');
+    console.error('  clear                   Remove all nodes and edges of a conversation');
+    console.error('  export [--format json|md|dot] [--out <file>]');
+    console.error('                          Write a conversation (stdout without --out)');
+    console.error('  import <file> [--replace]');
+    console.error('                          Add a flow export (JSON) or a Claude Code transcript (JSONL)');
+    console.error('  tail [--since <seq>]    Follow live updates until Ctrl+C');
+    console.error('  stats                   Node and edge counts per type, server totals');
+    console.error('  conversations           List conversations');
+    console.error('  run -- <command...>     Run a command and record it as terminal nodes');
+    console.error('  hook [event]            Claude Code hook command (payload on stdin)');
+    console.error('  flush                   Send requests spooled while the server was unreachable');
+    console.error('  init-shell bash|zsh     Print a snippet recording every command of an interactive shell');
+    console.error('                          (eval "$(node bridge.js init-shell bash)" in ~/.bashrc)');
+    console.error('');
+    console.error('Options:');
+    console.error('  --input <text>          User input ("-" reads stdin)');
+    console.error('  --input-file <file>     Read the user input from a file ("-" for stdin)');
+    console.error('  --output <text>         Claude\'s response ("-" reads stdin)');
+    console.error('  --output-file <file>    Read the response from a file ("-" for stdin)');
+    console.error('  --conversation <id>     Target conversation (default: the server\'s default)');
+    console.error('  --config <file>         Parser config (default: parser-config.json)');
+    console.error('  --json                  Machine-readable output (one JSON document, or one line per event for tail)');
+    console.error('');
+    console.error('Exit codes: 0 ok, 1 error, 2 invalid arguments, 3 server unreachable, 4 request refused by the server');
+    console.error('(`run` exits with the command\'s code, `hook` always with 0)');
+    console.error('');
+    console.error('Environment variables:');
+    console.error('  CLAUDE_FLOW_HOST - Server host (default: localhost)');
+    console.error('  CLAUDE_FLOW_PORT - Server port (default: 3000)');
+    console.error('  CLAUDE_FLOW_CONVERSATION - Target conversation for all commands');
+    console.error('  CLAUDE_FLOW_PARSER_CONFIG - Parser config file');
+    console.error('  CLAUDE_FLOW_HOOK_TIMEOUT - Hook request timeout in ms (default: 2000)');
+    console.error('  CLAUDE_FLOW_TOKEN - Access token of servers started with AUTH_TOKENS');
+    console.error('  CLAUDE_FLOW_SHELL_ID - Shell `run` links consecutive commands in (default: the parent process)');
+    console.error('  CLAUDE_FLOW_STATE_DIR - Where `run` keeps its per-shell state (default: <tmp>/claude-flow)');
+    console.error('  CLAUDE_FLOW_SPOOL_DIR - Where unsent requests wait for a retry (default: <state dir>/spool)');
+}
+
+// Subcommands taking parsed options: (options, positional)
+const COMMANDS = {
+    state: runState,
+    clear: runClear,
+    export: runExport,
+    import: runImport,
+    tail: runTail,
+    stats: runStats,
+    conversations: runConversations,
+    flush: runFlush,
+    record: runRecord,
+    'init-shell': runInitShell
+};
+
+/**
+ * Main function
+ */
+async function main() {
+    const args = process.argv.slice(2);
+
+    // These parse their own arguments and pick their own exit codes
+    if (args[0] === 'hook') {
+        await runHook(args.slice(1));
+        return;
+    }
+
+    if (args[0] === 'run') {
+        await runCommand(args.slice(1));
+        return;
+    }
+
+    let options = {};
+    try {
+        const command = COMMANDS[args[0]];
+        const parsed = parseArgs(command ? args.slice(1) : args);
+        options = parsed.options;
+
+        if (options.help) {
+            printUsage();
+            return;
+        }
+
+        if (command) {
+            await command(options, parsed.positional);
+        } else {
+            await runInteraction(options, parsed.positional);
+        }
     } catch (error) {
-        console.error('Error:', error.message);
-        process.exit(1);
+        const exitCode = getExitCode(error);
+        if (options.json) {
+            console.error(JSON.stringify({ error: error.message, exit_code: exitCode }));
+        } else {
+            console.error('Error:', error.message);
+        }
+        process.exit(exitCode);
     }
 }
 
@@ -148,4 +1318,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { sendNodes, SimpleParser };
+module.exports = { sendNodes, postJson, requestJson, deliver, flushSpool, parseArgs, createParser, loadParserConfig, EXIT_CODES };
@@ -25,6 +25,10 @@ class Canvas {
             startY: 50
         };
 
+        // Optional hooks: after nodes were rendered, after pan or zoom changed (see collaboration.js)
+        this.onRender = null;
+        this.onTransform = null;
+
         this.setupControls();
         this.setupZoomPan();
     }
@@ -90,6 +94,10 @@ class Canvas {
     updateTransform() {
         this.canvasGroup.setAttribute('transform',
             `translate(${this.panX}, ${this.panY}) scale(${this.zoom})`);
+
+        if (this.onTransform) {
+            this.onTransform();
+        }
     }
 
     /**
@@ -167,8 +175,14 @@ class Canvas {
             this.renderNode(node);
         });
 
+        this.renderCommentBadges(data.threads || []);
+
         // Update node count
         this.updateNodeCount(data.nodes.length);
+
+        if (this.onRender) {
+            this.onRender();
+        }
     }
 
     /**
@@ -531,6 +545,49 @@ class Canvas {
         this.edgesGroup.appendChild(path);
     }
 
+    /**
+     * Badge in the top right corner of nodes with comments: open threads, or a check when all are resolved
+     */
+    renderCommentBadges(threads) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const counts = new Map(); // node ID -> { open, total }
+
+        threads.forEach(thread => {
+            const count = counts.get(thread.node_id) || { open: 0, total: 0 };
+            count.total++;
+            if (!thread.resolved) count.open++;
+            counts.set(thread.node_id, count);
+        });
+
+        counts.forEach((count, nodeId) => {
+            const g = this.nodesGroup.querySelector(`[data-node-id="${CSS.escape(nodeId)}"]`);
+            const rect = g && g.querySelector('rect');
+            if (!rect) return;
+
+            const badge = document.createElementNS(svgNS, 'g');
+            badge.setAttribute('class', `comment-badge${count.open === 0 ? ' comment-badge-resolved' : ''}`);
+            badge.setAttribute('transform', `translate(${parseFloat(rect.getAttribute('width'))}, 0)`);
+
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = `${count.open} open of ${count.total} comment thread${count.total !== 1 ? 's' : ''}`;
+
+            const circle = document.createElementNS(svgNS, 'circle');
+            circle.setAttribute('r', '10');
+
+            const text = document.createElementNS(svgNS, 'text');
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('dy', '4');
+            text.setAttribute('font-size', '11');
+            text.setAttribute('font-weight', 'bold');
+            text.textContent = count.open > 0 ? count.open : '✓';
+
+            badge.appendChild(title);
+            badge.appendChild(circle);
+            badge.appendChild(text);
+            g.appendChild(badge);
+        });
+    }
+
     /**
      * Get node fill color/gradient
      */
@@ -542,8 +599,21 @@ class Canvas {
             'auto': 'url(#autoGradient)',
             'terminal_input': 'url(#terminalInputGradient)',
             'terminal_output': 'url(#terminalOutputGradient)',
-            'terminal_error': 'url(#terminalErrorGradient)'
+            'terminal_error': 'url(#terminalErrorGradient)',
+            // Claude CLI stream-json events and transcripts (claude-stream.js, transcript-importer.js)
+            'user_prompt': 'url(#inputGradient)',
+            'subagent_prompt': 'url(#inputGradient)',
+            'claude_message': 'url(#outputGradient)',
+            'subagent_message': 'url(#outputGradient)',
+            'thinking': 'url(#autoGradient)',
+            'tool_use': 'url(#skillGradient)',
+            'tool_result': 'url(#autoGradient)',
+            'claude_result': 'url(#outputGradient)',
+            // Claude Code hooks (hook-mapper.js)
+            'claude_stop': 'url(#outputGradient)',
+            'subagent_stop': 'url(#outputGradient)'
         };
+
         return fills[type] || '#666';
     }
 
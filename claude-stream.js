@@ -0,0 +1,197 @@
+/**
+ * Claude Stream - Turns Claude CLI stream-json output into flow nodes and edges
+ *
+ * `claude -p --output-format stream-json --verbose` prints one JSON event per line:
+ * - system (init):  session ID, model, tools
+ * - assistant:      message content blocks (text, thinking, tool_use)
+ * - user:           tool_result blocks answering tool_use blocks
+ * - result:         final answer, cost, usage, turns
+ *
+ * Every block becomes its own node, chained in order; tool results hang off
+ * the tool_use that produced them.
+ */
+
+const TranscriptImporter = require('./transcript-importer');
+
+class ClaudeStream {
+    /**
+     * @param {Object} options
+     * @param {string} options.runId - Run the stream belongs to (prefix of node IDs)
+     * @param {string} [options.parentId] - Node the first event node hangs off (e.g. the terminal output node)
+     */
+    constructor(options) {
+        this.runId = options.runId;
+        this.parentId = options.parentId || null;
+        this.lastNodeId = this.parentId;
+        this.toolNodes = new Map(); // tool_use ID -> node ID
+        this.buffer = '';
+        this.nodeCounter = 0;
+
+        this.sessionId = null;
+        this.model = null;
+        this.result = null; // Final result event
+        this.transcript = '';
+    }
+
+    /**
+     * Feed a stdout chunk
+     * @returns {Object} - { nodes, edges, text } for the complete lines in the chunk
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        const lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        return this.processLines(lines);
+    }
+
+    /**
+     * Process what is left in the buffer once the process exited
+     */
+    end() {
+        const lines = [this.buffer];
+        this.buffer = '';
+        return this.processLines(lines);
+    }
+
+    /**
+     * Final answer of the run: the result event's text, or the transcript without one
+     */
+    getOutput() {
+        if (this.result && typeof this.result.result === 'string') {
+            return this.result.result;
+        }
+        return this.transcript;
+    }
+
+    /**
+     * Process complete lines
+     */
+    processLines(lines) {
+        const batch = { nodes: [], edges: [], text: '' };
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                // Not stream-json (warnings, older CLI versions): keep it as plain output
+                batch.text += line + '\n';
+                return;
+            }
+
+            this.processEvent(event, batch);
+        });
+
+        this.transcript += batch.text;
+        return batch;
+    }
+
+    /**
+     * Turn one stream-json event into nodes, edges and display text
+     */
+    processEvent(event, batch) {
+        const content = event.message && Array.isArray(event.message.content) ? event.message.content : [];
+
+        switch (event.type) {
+            case 'system':
+                if (event.subtype === 'init') {
+                    this.sessionId = event.session_id || null;
+                    this.model = event.model || null;
+                }
+                break;
+
+            case 'assistant':
+                content.forEach(block => {
+                    if (block.type === 'text' && block.text) {
+                        this.addNode(batch, 'claude_message', 'Claude', block.text, {});
+                        batch.text += block.text + '\n';
+                    } else if (block.type === 'thinking' && block.thinking) {
+                        this.addNode(batch, 'thinking', 'Thinking', block.thinking, {});
+                    } else if (block.type === 'tool_use') {
+                        const summary = TranscriptImporter.summarizeToolInput(block.input);
+                        const nodeId = this.addNode(batch, 'tool_use', block.name || 'Tool', summary, {
+                            tool_use_id: block.id || null,
+                            tool_name: block.name || null,
+                            input: block.input || {}
+                        });
+                        if (block.id) {
+                            this.toolNodes.set(block.id, nodeId);
+                        }
+                        batch.text += `→ ${block.name}${summary ? `: ${summary}` : ''}\n`;
+                    }
+                });
+                break;
+
+            case 'user':
+                content.forEach(block => {
+                    if (block.type !== 'tool_result') return;
+
+                    const text = TranscriptImporter.getToolResultText(block.content);
+                    this.addNode(batch, 'tool_result', block.is_error ? 'Tool Error' : 'Tool Result', text, {
+                        tool_use_id: block.tool_use_id || null,
+                        is_error: Boolean(block.is_error)
+                    }, this.toolNodes.get(block.tool_use_id));
+                });
+                break;
+
+            case 'result':
+                this.result = event;
+                this.addNode(batch, 'claude_result', event.is_error ? 'Failed' : 'Result', event.result || '', {
+                    subtype: event.subtype || null,
+                    is_error: Boolean(event.is_error),
+                    duration_ms: event.duration_ms || 0,
+                    num_turns: event.num_turns || 0,
+                    total_cost_usd: event.total_cost_usd !== undefined ? event.total_cost_usd : null,
+                    usage: event.usage || null
+                });
+                break;
+
+            default:
+                // Other event types (e.g. partial stream events) carry nothing to show
+                break;
+        }
+    }
+
+    /**
+     * Add a node, linked from the previous node (or from the tool_use it answers)
+     * @returns {string} - The node ID
+     */
+    addNode(batch, type, title, content, metadata, parentId) {
+        const id = `node-claude-${this.runId}-${++this.nodeCounter}`;
+        const from = parentId || this.lastNodeId;
+        const timestamp = new Date().toISOString();
+
+        batch.nodes.push({
+            id,
+            type,
+            title,
+            content,
+            parent_id: from || null,
+            timestamp,
+            metadata: {
+                run_id: this.runId,
+                claude_session_id: this.sessionId,
+                model: this.model,
+                ...metadata
+            }
+        });
+
+        if (from) {
+            batch.edges.push({
+                id: `edge-${from}-${id}`,
+                from,
+                to: id,
+                type: parentId ? 'tool_result' : 'claude_stream',
+                style: 'solid',
+                color: type === 'tool_result' && metadata.is_error ? '#ef4444' : '#8b5cf6'
+            });
+        }
+
+        this.lastNodeId = id;
+        return id;
+    }
+}
+
+module.exports = ClaudeStream;
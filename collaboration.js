@@ -0,0 +1,259 @@
+/**
+ * Collaboration.js - Cursors, viewports and selections of the others following a conversation
+ *
+ * Sends this client's viewport (pan/zoom), pointer position (canvas coordinates)
+ * and Interactions selection as `cursor` messages; the server relays them to the
+ * other subscribers without storing them. Remote pointers are drawn on the canvas
+ * and remotely selected nodes get an outline in that client's color. Following a
+ * client mirrors its pan and zoom until the canvas is panned or zoomed by hand.
+ */
+
+class Collaboration {
+    constructor(app) {
+        this.app = app;
+        this.canvas = app.canvas;
+
+        // Remote clients (client_id -> { name, color, viewport, cursor, selection })
+        this.peers = new Map();
+        this.following = null;
+
+        // Local state, sent at most every sendInterval ms
+        this.cursor = null;
+        this.selection = [];
+        this.sendInterval = 50;
+        this.sendTimer = null;
+        this.lastSent = 0;
+
+        this.cursorsGroup = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize layers and listeners
+     */
+    init() {
+        this.cursorsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.cursorsGroup.setAttribute('id', 'remote-cursors-group');
+        this.cursorsGroup.setAttribute('pointer-events', 'none');
+        this.canvas.canvasGroup.appendChild(this.cursorsGroup);
+
+        // Outlines are lost when the canvas re-renders its nodes
+        this.canvas.onRender = () => this.renderSelections();
+        this.canvas.onTransform = () => {
+            this.renderCursors();
+            this.scheduleSend();
+        };
+
+        const svg = this.canvas.svg;
+        svg.addEventListener('mousemove', (e) => {
+            this.cursor = this.toCanvasPoint(e.clientX, e.clientY);
+            this.scheduleSend();
+        });
+        svg.addEventListener('mouseleave', () => {
+            this.cursor = null;
+            this.scheduleSend();
+        });
+
+        // Panning or zooming by hand ends follow mode
+        svg.addEventListener('wheel', () => this.unfollow());
+        svg.addEventListener('mousedown', (e) => {
+            if (e.target === svg || e.target === this.canvas.canvasGroup) {
+                this.unfollow();
+            }
+        });
+        ['zoom-in', 'zoom-out', 'zoom-reset'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', () => this.unfollow());
+        });
+    }
+
+    /**
+     * Convert a screen position to canvas coordinates
+     */
+    toCanvasPoint(clientX, clientY) {
+        const rect = this.canvas.svg.getBoundingClientRect();
+        return {
+            x: Math.round((clientX - rect.left - this.canvas.panX) / this.canvas.zoom),
+            y: Math.round((clientY - rect.top - this.canvas.panY) / this.canvas.zoom)
+        };
+    }
+
+    /**
+     * Current viewport of this client
+     */
+    getViewport() {
+        const rect = this.canvas.svg.getBoundingClientRect();
+        return {
+            pan_x: this.canvas.panX,
+            pan_y: this.canvas.panY,
+            zoom: this.canvas.zoom,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+
+    /**
+     * Set the local selection (called by Interactions)
+     */
+    updateSelection(nodeIds) {
+        this.selection = nodeIds.slice(0, 500);
+        this.scheduleSend();
+    }
+
+    /**
+     * Send the local state, throttled to one message per sendInterval
+     */
+    scheduleSend() {
+        if (this.sendTimer) return;
+
+        const wait = Math.max(0, this.lastSent + this.sendInterval - Date.now());
+        this.sendTimer = setTimeout(() => {
+            this.sendTimer = null;
+            this.lastSent = Date.now();
+            this.app.sendMessage({
+                type: 'cursor',
+                viewport: this.getViewport(),
+                cursor: this.cursor,
+                selection: this.selection
+            });
+        }, wait);
+    }
+
+    /**
+     * Apply a cursor message of another client
+     */
+    handleCursor(message) {
+        if (message.client_id === this.app.clientId) return;
+
+        this.peers.set(message.client_id, {
+            name: message.name,
+            color: message.color,
+            viewport: message.viewport,
+            cursor: message.cursor,
+            selection: message.selection || []
+        });
+
+        if (this.following === message.client_id && message.viewport) {
+            this.mirrorViewport(message.viewport);
+        }
+
+        this.renderCursors();
+        this.renderSelections();
+    }
+
+    /**
+     * Forget clients that left (presence list of the conversation)
+     */
+    handlePresence(clients) {
+        const present = new Set(clients.map(client => client.client_id));
+
+        Array.from(this.peers.keys()).forEach(clientId => {
+            if (!present.has(clientId)) {
+                this.peers.delete(clientId);
+            }
+        });
+        if (this.following && !present.has(this.following)) {
+            this.unfollow();
+        }
+
+        this.renderCursors();
+        this.renderSelections();
+    }
+
+    /**
+     * Mirror another client's pan and zoom (or stop when already following it)
+     */
+    follow(clientId) {
+        if (this.following === clientId) {
+            this.unfollow();
+            return;
+        }
+
+        this.following = clientId;
+        const peer = this.peers.get(clientId);
+        if (peer && peer.viewport) {
+            this.mirrorViewport(peer.viewport);
+        }
+        this.app.updatePresence();
+    }
+
+    unfollow() {
+        if (!this.following) return;
+        this.following = null;
+        this.app.updatePresence();
+    }
+
+    /**
+     * Show the same canvas area as a remote viewport: same zoom, same center (screens differ in size)
+     */
+    mirrorViewport(viewport) {
+        const rect = this.canvas.svg.getBoundingClientRect();
+        const centerX = (viewport.width / 2 - viewport.pan_x) / viewport.zoom;
+        const centerY = (viewport.height / 2 - viewport.pan_y) / viewport.zoom;
+
+        this.canvas.zoom = viewport.zoom;
+        this.canvas.panX = rect.width / 2 - centerX * viewport.zoom;
+        this.canvas.panY = rect.height / 2 - centerY * viewport.zoom;
+        this.canvas.updateTransform();
+    }
+
+    /**
+     * Draw the remote pointers (kept the same size whatever the zoom)
+     */
+    renderCursors() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const scale = 1 / this.canvas.zoom;
+        this.cursorsGroup.innerHTML = '';
+
+        this.peers.forEach(peer => {
+            if (!peer.cursor) return;
+
+            const g = document.createElementNS(svgNS, 'g');
+            g.setAttribute('class', 'remote-cursor');
+            g.setAttribute('transform', `translate(${peer.cursor.x}, ${peer.cursor.y}) scale(${scale})`);
+
+            const arrow = document.createElementNS(svgNS, 'path');
+            arrow.setAttribute('d', 'M0 0 L0 16 L4.5 12 L8 19 L10.5 18 L7 11 L12.5 11 Z');
+            arrow.setAttribute('fill', peer.color);
+            arrow.setAttribute('stroke', '#fff');
+            arrow.setAttribute('stroke-width', '1');
+
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('x', '14');
+            label.setAttribute('y', '26');
+            label.setAttribute('fill', peer.color);
+            label.setAttribute('font-size', '12');
+            label.textContent = peer.name;
+
+            g.appendChild(arrow);
+            g.appendChild(label);
+            this.cursorsGroup.appendChild(g);
+        });
+    }
+
+    /**
+     * Outline the nodes other clients selected, in their colors
+     */
+    renderSelections() {
+        this.canvas.nodesGroup.querySelectorAll('.node-remote-selected').forEach(element => {
+            element.classList.remove('node-remote-selected');
+            element.style.removeProperty('--remote-selection-color');
+        });
+
+        this.peers.forEach(peer => {
+            peer.selection.forEach(nodeId => {
+                const element = this.canvas.nodesGroup.querySelector(`[data-node-id="${CSS.escape(nodeId)}"]`);
+                if (element) {
+                    element.classList.add('node-remote-selected');
+                    element.style.setProperty('--remote-selection-color', peer.color);
+                }
+            });
+        });
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Collaboration = Collaboration;
+}
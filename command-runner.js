@@ -0,0 +1,262 @@
+/**
+ * Command Runner - spawn-based command execution with streamed output
+ *
+ * Each run gets an ID and emits events while it executes:
+ * - 'start'  (run)
+ * - 'output' (run, stream, chunk)   stream is 'stdout' or 'stderr'
+ * - 'exit'   (run)                  run.exit_code, run.signal, run.duration_ms are set
+ *
+ * Runs get their own process group, so signal() reaches the shell and
+ * everything it started (e.g. Ctrl+C on `npm test` stops the test runner too).
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+// Signals clients may send to a run
+const SIGNALS = ['SIGINT', 'SIGTERM', 'SIGKILL', 'SIGHUP', 'SIGQUIT'];
+
+class CommandRunner extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.timeout] - Kill runs after this many ms (0 disables)
+     * @param {number} [options.maxOutput] - Characters of output kept per run (everything is still streamed)
+     * @param {string} [options.claudeBin] - Claude CLI executable (a stub that replays recorded output works too)
+     */
+    constructor(options = {}) {
+        super();
+        this.timeout = options.timeout !== undefined ? options.timeout : 10 * 60 * 1000;
+        this.maxOutput = options.maxOutput || 5 * 1024 * 1024;
+        this.claudeBin = options.claudeBin || 'claude';
+        this.runs = new Map();
+        this.runCounter = 0;
+    }
+
+    /**
+     * Generate a run ID
+     */
+    generateRunId() {
+        return `run-${Date.now()}-${++this.runCounter}`;
+    }
+
+    /**
+     * Check that a client-provided run ID is usable
+     */
+    isValidRunId(runId) {
+        return typeof runId === 'string' && /^[A-Za-z0-9_.:-]{1,128}$/.test(runId) && !this.runs.has(runId);
+    }
+
+    /**
+     * Get a run by ID
+     */
+    get(runId) {
+        return this.runs.get(runId) || null;
+    }
+
+    /**
+     * Check a signal name clients may send
+     */
+    static isValidSignal(signal) {
+        return SIGNALS.includes(signal);
+    }
+
+    /**
+     * Send a signal to a running command; the run finishes as 'cancelled'
+     * @returns {boolean} - Whether the run was running and got the signal
+     */
+    signal(runId, signal = 'SIGINT') {
+        const run = this.get(runId);
+        if (!run || !run.child || run.status !== 'running') {
+            return false;
+        }
+
+        run.cancelled = true;
+        run.cancel_signal = signal;
+        this.kill(run, signal);
+        return true;
+    }
+
+    /**
+     * Signal every running command (e.g. on shutdown)
+     */
+    signalAll(signal = 'SIGTERM') {
+        Array.from(this.runs.keys()).forEach(runId => this.signal(runId, signal));
+    }
+
+    /**
+     * Send a signal to a run's process group, or to the process itself if that fails
+     */
+    kill(run, signal) {
+        try {
+            process.kill(-run.pid, signal);
+        } catch (error) {
+            run.child.kill(signal);
+        }
+    }
+
+    /**
+     * Build the spawn arguments for a command type
+     * @param {Object} [session] - ShellSession providing cwd and environment
+     * @param {Object} [sandbox] - { cwd, env } for runs without a session, { prelude } shell code run first (e.g. ulimit)
+     */
+    getSpawnArgs(command, type, session, sandbox = {}) {
+        const { cwd, env, prelude = '' } = sandbox;
+
+        if (type === 'claude') {
+            // Claude Code reads the prompt from stdin and prints one JSON event per line;
+            // with a prelude (limits) a shell applies it and then execs the CLI
+            const args = ['-p', '--output-format', 'stream-json', '--verbose'];
+            return {
+                file: prelude ? '/bin/sh' : this.claudeBin,
+                args: prelude ? ['-c', `${prelude}; exec "$0" "$@"`, this.claudeBin, ...args] : args,
+                options: session ? session.getProcessOptions() : { cwd, env },
+                input: command + '\n'
+            };
+        }
+
+        if (session) {
+            return session.getShellSpawnArgs(command, prelude);
+        }
+        return { file: prelude ? `${prelude}; ${command}` : command, args: [], options: { shell: true, cwd, env } };
+    }
+
+    /**
+     * Start a command
+     * @param {Object} request
+     * @param {string} request.command - Command line (shell) or prompt (claude)
+     * @param {string} [request.type] - 'shell' or 'claude'
+     * @param {string} [request.runId] - Run ID (generated if omitted)
+     * @param {Object} [request.context] - Caller data kept on the run (conversation, node ID, ...)
+     * @param {Object} [request.session] - ShellSession the command runs in
+     * @param {Object} [request.sandbox] - { cwd, env, prelude } (see getSpawnArgs)
+     * @param {number} [request.timeout] - Timeout for this run in ms (defaults to the runner's)
+     * @returns {Object} - The run; `run.done` resolves when it exits
+     */
+    start({ command, type = 'shell', runId, context = {}, session = null, sandbox = {}, timeout = this.timeout }) {
+        const { file, args, options = {}, input, stateFd } = this.getSpawnArgs(command, type, session, sandbox);
+
+        const run = {
+            id: runId || this.generateRunId(),
+            command,
+            type,
+            context,
+            pid: null,
+            cwd: options.cwd || process.cwd(),
+            status: 'running',
+            started_at: new Date().toISOString(),
+            output: '',
+            output_truncated: false,
+            exit_code: null,
+            signal: null,
+            duration_ms: 0,
+            error: null,
+            cancelled: false,
+            cancel_signal: null,
+            session: session ? session.describe() : null
+        };
+
+        const startTime = Date.now();
+        this.runs.set(run.id, run);
+
+        run.done = new Promise(resolve => {
+            let finished = false;
+            let timeoutTimer = null;
+
+            const finish = (exitCode, signal, error = null) => {
+                if (finished) return;
+                finished = true;
+
+                if (timeoutTimer) {
+                    clearTimeout(timeoutTimer);
+                }
+
+                run.exit_code = exitCode;
+                run.signal = signal;
+                run.error = error || run.error;
+                run.duration_ms = Date.now() - startTime;
+                if (run.cancelled) {
+                    run.status = 'cancelled';
+                } else {
+                    run.status = exitCode === 0 ? 'complete' : 'error';
+                }
+
+                if (session) {
+                    if (stateFd) {
+                        session.applyState(stateReport);
+                    }
+                    run.session_after = session.describe();
+                }
+                this.runs.delete(run.id);
+
+                this.emit('exit', run);
+                resolve(run);
+            };
+
+            let child;
+            let stateReport = '';
+            try {
+                // fd 3 carries the session state reported by the wrapper shell
+                const stdio = stateFd ? ['pipe', 'pipe', 'pipe', 'pipe'] : ['pipe', 'pipe', 'pipe'];
+                child = spawn(file, args, { ...options, stdio, detached: true });
+            } catch (error) {
+                this.emit('start', run);
+                finish(null, null, error.message);
+                return;
+            }
+
+            run.child = child;
+            run.pid = child.pid || null;
+            this.emit('start', run);
+
+            const capture = stream => chunk => {
+                const room = Math.max(this.maxOutput - run.output.length, 0);
+                if (chunk.length > room) {
+                    run.output_truncated = true;
+                }
+                run.output += chunk.slice(0, room);
+
+                this.emit('output', run, stream, chunk);
+            };
+
+            child.stdout.setEncoding('utf8');
+            child.stderr.setEncoding('utf8');
+            child.stdout.on('data', capture('stdout'));
+            child.stderr.on('data', capture('stderr'));
+
+            if (stateFd) {
+                child.stdio[3].setEncoding('utf8');
+                child.stdio[3].on('data', chunk => {
+                    stateReport += chunk;
+                });
+            }
+
+            child.on('error', error => {
+                // e.g. ENOENT when the binary does not exist
+                finish(null, null, error.message);
+            });
+
+            child.on('close', (code, signal) => {
+                finish(code, signal);
+            });
+
+            child.stdin.on('error', () => {
+                // The process may exit before reading its input
+            });
+            if (input !== undefined) {
+                child.stdin.write(input);
+            }
+            child.stdin.end();
+
+            if (timeout > 0) {
+                timeoutTimer = setTimeout(() => {
+                    run.error = `Command timed out after ${Math.round(timeout / 1000)}s`;
+                    this.kill(run, 'SIGTERM');
+                }, timeout);
+            }
+        });
+
+        return run;
+    }
+}
+
+module.exports = CommandRunner;
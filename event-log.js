@@ -0,0 +1,158 @@
+/**
+ * Event Log - Bounded in-memory log of flow mutations
+ * Assigns monotonically increasing sequence numbers so reconnecting
+ * clients can catch up on missed events instead of reloading everything
+ */
+
+class EventLog {
+    /**
+     * @param {number} startSeq - Last sequence number already issued
+     * @param {number} maxEvents - Number of events kept in memory
+     */
+    constructor(startSeq = 0, maxEvents = 1000) {
+        this.seq = startSeq;
+        this.maxEvents = maxEvents;
+        this.events = [];
+    }
+
+    /**
+     * Append an event and assign it the next sequence number
+     * @param {Object} event - Mutation event ({ type, nodes, edges, ... })
+     * @returns {Object} - The event with its `seq`
+     */
+    append(event) {
+        this.seq++;
+        const entry = { ...event, seq: this.seq };
+
+        this.events.push(entry);
+        if (this.events.length > this.maxEvents) {
+            this.events.splice(0, this.events.length - this.maxEvents);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get all events after a sequence number
+     * @param {number} seq - Last sequence number the client has seen
+     * @returns {Array|null} - Missed events, or null if the log no longer reaches back that far
+     */
+    since(seq) {
+        if (!Number.isInteger(seq) || seq < 0 || seq > this.seq) {
+            return null;
+        }
+
+        if (seq === this.seq) {
+            return [];
+        }
+
+        const oldestSeq = this.events.length > 0 ? this.events[0].seq : this.seq + 1;
+        if (seq + 1 < oldestSeq) {
+            return null;
+        }
+
+        return this.events.filter(event => event.seq > seq);
+    }
+
+    /**
+     * Get the ID of an edge (edges without an explicit ID are identified by their endpoints)
+     */
+    static getEdgeId(edge) {
+        return edge.id || `edge-${edge.from}-${edge.to}`;
+    }
+
+    /**
+     * Apply a mutation event to flow data in place.
+     * Used both for live mutations and when replaying the journal on startup.
+     * @param {Object} flowData - Flow data ({ nodes, edges, seq, ... })
+     * @param {Object} event - Recorded event
+     * @returns {Object} - The same flow data
+     */
+    static apply(flowData, event) {
+        switch (event.type) {
+            case 'node_update':
+                flowData.nodes.push(...(event.nodes || []));
+                flowData.edges.push(...(event.edges || []));
+                break;
+
+            case 'edge_update':
+                flowData.edges.push(...(event.edges || []));
+                break;
+
+            case 'node_patch':
+                flowData.nodes = flowData.nodes.map(node => node.id === event.id ? event.node : node);
+                break;
+
+            case 'node_delete':
+                flowData.nodes = flowData.nodes.filter(node => node.id !== event.id);
+                flowData.edges = flowData.edges.filter(edge => edge.from !== event.id && edge.to !== event.id);
+                flowData.threads = (flowData.threads || []).filter(thread => thread.node_id !== event.id);
+                break;
+
+            case 'edge_patch':
+                flowData.edges = flowData.edges.map(edge => EventLog.getEdgeId(edge) === event.id ? event.edge : edge);
+                break;
+
+            case 'edge_delete':
+                flowData.edges = flowData.edges.filter(edge => EventLog.getEdgeId(edge) !== event.id);
+                break;
+
+            case 'clear':
+                flowData.created_at = event.timestamp || new Date().toISOString();
+                flowData.nodes = [];
+                flowData.edges = [];
+                flowData.threads = [];
+                break;
+
+            case 'comment_add': {
+                // Starts the thread when it does not exist yet
+                flowData.threads = flowData.threads || [];
+                let thread = flowData.threads.find(item => item.id === event.thread_id);
+                if (!thread) {
+                    thread = {
+                        id: event.thread_id,
+                        node_id: event.node_id,
+                        created_at: event.comment.created_at,
+                        resolved: false,
+                        resolved_by: null,
+                        resolved_at: null,
+                        comments: []
+                    };
+                    flowData.threads.push(thread);
+                }
+                thread.comments.push(event.comment);
+                break;
+            }
+
+            case 'thread_resolve': {
+                const thread = (flowData.threads || []).find(item => item.id === event.thread_id);
+                if (thread) {
+                    thread.resolved = event.resolved;
+                    thread.resolved_by = event.resolved ? event.resolved_by : null;
+                    thread.resolved_at = event.resolved ? event.timestamp : null;
+                }
+                break;
+            }
+
+            case 'comment_delete': {
+                // A thread goes away with its last comment
+                const thread = (flowData.threads || []).find(item => item.id === event.thread_id);
+                if (thread) {
+                    thread.comments = thread.comments.filter(comment => comment.id !== event.id);
+                    if (thread.comments.length === 0) {
+                        flowData.threads = flowData.threads.filter(item => item !== thread);
+                    }
+                }
+                break;
+            }
+        }
+
+        if (typeof event.seq === 'number') {
+            flowData.seq = event.seq;
+        }
+
+        return flowData;
+    }
+}
+
+module.exports = EventLog;
@@ -0,0 +1,412 @@
+/**
+ * Execution Policy - Decides which commands /api/execute and `execute` may run
+ *
+ * Loaded from a JSON config file (execution-policy.json by default):
+ * - allow / deny: binaries ("rm", or with leading arguments: "git push") and
+ *   regex patterns matched against each command of a command line
+ * - read_only: only read_only.binaries may run, without their write_flags, and
+ *   output redirects are refused
+ * - cwd_root: commands never start outside this directory
+ * - env: variables scrubbed from the environment commands see
+ * - limits: CPU time and memory (ulimit) and wall-clock time per run
+ * - audit_log: JSONL file recording every execution request and its outcome,
+ *   relative to the data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Prefix commands that run another command given as their arguments
+const WRAPPERS = ['env', 'nice', 'nohup', 'time', 'command', 'exec', 'timeout', 'xargs', 'stdbuf'];
+
+// Shells whose `-c` script is checked like a command line of its own
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh'];
+
+class ExecutionPolicy {
+    /**
+     * @param {Object} config - Parsed policy config (see execution-policy.json)
+     * @param {string} [baseDir] - Directory a relative cwd_root is resolved against
+     * @param {string} [dataDir] - Directory a relative audit_log is resolved against (default: baseDir)
+     */
+    constructor(config = {}, baseDir = process.cwd(), dataDir = baseDir) {
+        const allow = config.allow || {};
+        const deny = config.deny || {};
+        const readOnly = config.read_only || {};
+        const env = config.env || {};
+        const limits = config.limits || {};
+
+        this.allow = { binaries: allow.binaries || [], patterns: (allow.patterns || []).map(p => new RegExp(p)) };
+        this.deny = { binaries: deny.binaries || [], patterns: (deny.patterns || []).map(p => new RegExp(p)) };
+        this.readOnly = {
+            enabled: Boolean(readOnly.enabled),
+            binaries: readOnly.binaries || [],
+            writeFlags: readOnly.write_flags || {}
+        };
+        this.cwdRoot = config.cwd_root ? path.resolve(baseDir, config.cwd_root) : null;
+        this.env = { scrub: env.scrub || [], keep: env.keep || [] };
+        this.limits = {
+            cpu_seconds: limits.cpu_seconds || null,
+            memory_mb: limits.memory_mb || null,
+            timeout_ms: limits.timeout_ms !== undefined ? limits.timeout_ms : null
+        };
+        this.auditLog = config.audit_log ? path.resolve(dataDir, config.audit_log) : null;
+        this.auditQueue = Promise.resolve();
+    }
+
+    /**
+     * Load a policy file; a missing file gives a permissive policy that still audits
+     * @param {string} file - Path to the JSON config
+     * @param {Object} [defaults] - Config used when the file does not exist
+     * @param {string} [dataDir] - Directory of the audit log (default: the file's directory)
+     */
+    static fromFile(file, defaults = {}, dataDir = path.dirname(file)) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Invalid execution policy ${file}: ${error.message}`);
+            }
+            console.warn(`No execution policy at ${file}, allowing all commands`);
+            config = defaults;
+        }
+
+        return new ExecutionPolicy(config, path.dirname(file), dataDir);
+    }
+
+    /**
+     * Split a shell command line into simple commands
+     * Quotes are removed, redirect targets are kept apart from the arguments.
+     * @returns {Object} - { commands: [{ words, redirects }], substitution }
+     */
+    static parseCommandLine(line) {
+        const commands = [];
+        let words = [];
+        let redirects = [];
+        let word = '';
+        let inWord = false;
+        let quote = null;
+        let redirectNext = null;
+        let substitution = false;
+
+        const pushWord = () => {
+            if (inWord) {
+                // Output targets are kept apart, input files are dropped
+                if (redirectNext === 'out') redirects.push(word);
+                else if (!redirectNext) words.push(word);
+                redirectNext = null;
+            }
+            word = '';
+            inWord = false;
+        };
+
+        const pushCommand = () => {
+            pushWord();
+            if (words.length > 0 || redirects.length > 0) {
+                commands.push({ words, redirects });
+            }
+            words = [];
+            redirects = [];
+        };
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+
+            if (quote === "'") {
+                if (ch === "'") quote = null;
+                else word += ch;
+                continue;
+            }
+
+            if ((ch === '$' && line[i + 1] === '(') || ch === '`') {
+                substitution = true;
+            }
+
+            if (quote === '"') {
+                if (ch === '"') quote = null;
+                else if (ch === '\\' && i + 1 < line.length) word += line[++i];
+                else word += ch;
+                continue;
+            }
+
+            if (ch === "'" || ch === '"') {
+                quote = ch;
+                inWord = true;
+            } else if (ch === '\\' && i + 1 < line.length) {
+                word += line[++i];
+                inWord = true;
+            } else if (ch === '>' || ch === '<') {
+                // The descriptor number in "2>file" is not an argument
+                if (/^\d+$/.test(word)) {
+                    word = '';
+                    inWord = false;
+                }
+                pushWord();
+                if (line[i + 1] === '>' || line[i + 1] === '|') i++;
+                if (line[i + 1] === '&') {
+                    // "2>&1" duplicates a descriptor
+                    i++;
+                    while (/[\d-]/.test(line[i + 1] || '')) i++;
+                } else {
+                    redirectNext = ch === '>' ? 'out' : 'in';
+                }
+            } else if (';&|\n()'.includes(ch)) {
+                pushCommand();
+            } else if (/\s/.test(ch)) {
+                pushWord();
+            } else {
+                word += ch;
+                inWord = true;
+            }
+        }
+
+        pushCommand();
+        return { commands, substitution };
+    }
+
+    /**
+     * The programs a simple command runs: the command itself and, through
+     * wrappers like `env` or `nohup`, the command they run
+     * @returns {Array} - Word lists, each starting with a program
+     */
+    static getInvocations(words) {
+        const invocations = [];
+        let rest = words;
+
+        // Leading VAR=value assignments
+        while (rest.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[0])) {
+            rest = rest.slice(1);
+        }
+
+        while (rest.length > 0) {
+            invocations.push(rest);
+
+            const program = path.basename(rest[0]);
+            if (!WRAPPERS.includes(program)) {
+                break;
+            }
+
+            rest = rest.slice(1);
+            while (rest.length > 0 && (rest[0].startsWith('-') || /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[0]))) {
+                rest = rest.slice(1);
+            }
+            if (program === 'timeout' && rest.length > 0) {
+                rest = rest.slice(1); // duration
+            }
+        }
+
+        return invocations;
+    }
+
+    /**
+     * Shell code an invocation runs: the script of `sh -c '...'` or the arguments of `eval`
+     * @returns {string|null} - null when the invocation runs no shell code of its own
+     */
+    static getInlineScript(words) {
+        const program = path.basename(words[0]);
+        if (program === 'eval') {
+            return words.slice(1).join(' ');
+        }
+        if (!SHELLS.includes(program)) {
+            return null;
+        }
+
+        const flag = words.findIndex((word, index) => index > 0 && /^-[A-Za-z]*c[A-Za-z]*$/.test(word));
+        if (flag === -1) {
+            return null;
+        }
+        const script = words.slice(flag + 1).find(word => !/^[-+]/.test(word));
+        return script !== undefined ? script : '';
+    }
+
+    /**
+     * Check whether a rule ("git" or "git push") matches an invocation
+     */
+    static matchesRule(rule, words) {
+        const ruleWords = rule.trim().split(/\s+/);
+        if (words.length < ruleWords.length || ruleWords[0] !== path.basename(words[0])) {
+            return false;
+        }
+        return ruleWords.slice(1).every((ruleWord, index) => ruleWord === words[index + 1]);
+    }
+
+    /**
+     * First argument making a read-only program write (read_only.write_flags, e.g. "git": ["--output"])
+     * Long flags also match abbreviated or with a value ("--outp", "--output=x"),
+     * short ones within a group of flags or with their value attached ("-ao", "-ofile").
+     * @returns {string|null}
+     */
+    findWriteFlag(words) {
+        const flags = this.readOnly.writeFlags[path.basename(words[0])] || [];
+
+        for (const word of words.slice(1)) {
+            if (word === '--') break;
+
+            const name = word.split('=')[0];
+            const found = flags.some(flag => flag.startsWith('--')
+                ? name.length > 2 && flag.startsWith(name)
+                : /^-[^-]/.test(word) && word.includes(flag.slice(1)));
+            if (found) {
+                return word;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decide whether a command may run
+     * @param {Object} request - { command, type }
+     * @returns {Object} - { allowed: true } or { allowed: false, reason, rule }
+     */
+    check({ command, type = 'shell' }) {
+        const deny = (reason, rule) => ({ allowed: false, reason, rule });
+        const restricted = this.readOnly.enabled || this.allow.binaries.length > 0 || this.allow.patterns.length > 0;
+
+        // Claude prompts are not shell code: only the `claude` binary itself is checked
+        const parsed = type === 'claude'
+            ? { commands: [{ words: ['claude'], redirects: [] }], substitution: false }
+            : ExecutionPolicy.parseCommandLine(command);
+
+        if (restricted && parsed.substitution) {
+            return deny('Command substitution is not allowed with an allow list or in read-only mode', 'substitution');
+        }
+
+        for (const { words, redirects } of parsed.commands) {
+            const text = words.join(' ');
+            const invocations = ExecutionPolicy.getInvocations(words);
+            const scripts = invocations.map(invocation => ExecutionPolicy.getInlineScript(invocation));
+
+            for (const invocation of invocations) {
+                const rule = this.deny.binaries.find(r => ExecutionPolicy.matchesRule(r, invocation));
+                if (rule) {
+                    return deny(`"${rule}" is on the deny list`, `deny.binaries: ${rule}`);
+                }
+            }
+
+            // `sh -c` and `eval` are judged by the code they run, not by the shell itself
+            for (const script of scripts.filter(script => script !== null)) {
+                const decision = this.check({ command: script, type });
+                if (!decision.allowed) {
+                    return decision;
+                }
+            }
+            const programs = invocations.filter((invocation, index) => scripts[index] === null);
+
+            if (type !== 'claude') {
+                const pattern = this.deny.patterns.find(p => p.test(text));
+                if (pattern) {
+                    return deny(`"${text}" matches a denied pattern`, `deny.patterns: ${pattern.source}`);
+                }
+            }
+
+            if (this.readOnly.enabled) {
+                const writable = redirects.find(target => target !== '/dev/null');
+                if (writable) {
+                    return deny(`Read-only mode: cannot redirect output to ${writable}`, 'read_only');
+                }
+
+                const blocked = programs.find(invocation =>
+                    !this.readOnly.binaries.some(r => ExecutionPolicy.matchesRule(r, invocation)));
+                if (blocked) {
+                    return deny(`Read-only mode: "${blocked.join(' ')}" is not a read-only command`, 'read_only');
+                }
+
+                for (const invocation of programs) {
+                    const flag = this.findWriteFlag(invocation);
+                    if (flag) {
+                        return deny(`Read-only mode: "${flag}" makes ${path.basename(invocation[0])} write files`, 'read_only.write_flags');
+                    }
+                }
+            }
+
+            if (this.allow.binaries.length > 0 || this.allow.patterns.length > 0) {
+                const allowed = programs.every(invocation =>
+                    this.allow.binaries.some(r => ExecutionPolicy.matchesRule(r, invocation))) ||
+                    (type !== 'claude' && this.allow.patterns.some(p => p.test(text)));
+                if (!allowed) {
+                    return deny(`"${text}" is not in the allow list`, 'allow');
+                }
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Check that a directory lies inside cwd_root (always true without a root)
+     */
+    isWithinRoot(directory) {
+        if (!this.cwdRoot) {
+            return true;
+        }
+        const relative = path.relative(this.cwdRoot, path.resolve(directory));
+        return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    }
+
+    /**
+     * Directory a command should start in: the requested one, or cwd_root if it escapes the root
+     */
+    confineDirectory(directory) {
+        return this.isWithinRoot(directory) ? directory : this.cwdRoot;
+    }
+
+    /**
+     * Remove scrubbed variables ("AWS_*", "*_TOKEN", ...) from an environment
+     */
+    scrubEnv(env) {
+        const toRegExp = glob => new RegExp('^' + glob.split('*').map(part =>
+            part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+        const scrub = this.env.scrub.map(toRegExp);
+        const keep = this.env.keep.map(toRegExp);
+
+        const scrubbed = {};
+        Object.keys(env).forEach(key => {
+            if (!scrub.some(re => re.test(key)) || keep.some(re => re.test(key))) {
+                scrubbed[key] = env[key];
+            }
+        });
+        return scrubbed;
+    }
+
+    /**
+     * Shell code setting the CPU and memory limits (empty without limits)
+     */
+    getLimitScript() {
+        const commands = [];
+        if (this.limits.cpu_seconds) {
+            commands.push(`ulimit -t ${parseInt(this.limits.cpu_seconds, 10)}`);
+        }
+        if (this.limits.memory_mb) {
+            commands.push(`ulimit -v ${parseInt(this.limits.memory_mb, 10) * 1024}`);
+        }
+        return commands.join('; ');
+    }
+
+    /**
+     * Append an entry to the audit log
+     * @returns {Promise} - Resolves once written (failures are logged, never thrown)
+     */
+    audit(entry) {
+        if (!this.auditLog) {
+            return Promise.resolve();
+        }
+
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+        this.auditQueue = this.auditQueue
+            .then(() => fs.promises.mkdir(path.dirname(this.auditLog), { recursive: true, mode: 0o700 }))
+            .then(() => fs.promises.appendFile(this.auditLog, line, { encoding: 'utf8', mode: 0o600 }))
+            .catch(error => {
+                console.error('Failed to write audit log:', error.message);
+            });
+        return this.auditQueue;
+    }
+
+    /**
+     * Wait until the queued audit entries are written
+     */
+    flush() {
+        return this.auditQueue;
+    }
+}
+
+module.exports = ExecutionPolicy;
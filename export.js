@@ -28,7 +28,12 @@ class ExportEngine {
             markdown: {
                 includeMetadata: true,
                 includeTimestamps: true,
+                includeComments: true,
                 codeBlockStyle: 'fenced' // 'fenced' or 'indented'
+            },
+            dot: {
+                rankdir: 'TB',
+                labelLength: 60
             }
         };
     }
@@ -236,6 +241,11 @@ class ExportEngine {
                         markdown += '\n\n';
                     }
 
+                    // Add comment threads
+                    if (config.includeComments) {
+                        markdown += this.getCommentsMarkdown((flowData.threads || []).filter(thread => thread.node_id === node.id));
+                    }
+
                     markdown += '---\n\n';
                 });
             }
@@ -249,6 +259,58 @@ class ExportEngine {
         }
     }
 
+    /**
+     * Export flow data as a Graphviz DOT graph (render with `dot -Tsvg flow.dot`)
+     */
+    async exportToDOT(flowData, options = {}) {
+        const config = { ...this.exportOptions.dot, ...options };
+        const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+        const colors = {
+            input: '#3b82f6',
+            output: '#10b981',
+            skill: '#8b5cf6',
+            terminal_input: '#0ea5e9',
+            terminal_output: '#06b6d4',
+            terminal_error: '#ef4444'
+        };
+
+        let dot = 'digraph claude_flow {\n';
+        dot += `    rankdir=${config.rankdir};\n`;
+        dot += '    node [shape=box, style="rounded,filled", fontname="Helvetica", fontcolor="white", fillcolor="#475569"];\n';
+        dot += '    edge [color="#64748b"];\n\n';
+
+        (flowData.nodes || []).forEach(node => {
+            const firstLine = String(node.content || '').split('\n')[0];
+            const text = firstLine.length > config.labelLength
+                ? firstLine.slice(0, config.labelLength) + '…'
+                : firstLine;
+            const title = node.title || node.type;
+            const attributes = [`label=${quote(text ? `${title}\n${text}` : title)}`];
+            if (colors[node.type]) {
+                attributes.push(`fillcolor=${quote(colors[node.type])}`);
+            }
+            dot += `    ${quote(node.id)} [${attributes.join(', ')}];\n`;
+        });
+
+        if (flowData.edges && flowData.edges.length > 0) {
+            dot += '\n';
+        }
+
+        (flowData.edges || []).forEach(edge => {
+            const attributes = [];
+            if (edge.style === 'dashed' || edge.style === 'dotted') {
+                attributes.push(`style=${edge.style}`);
+            }
+            if (edge.color) {
+                attributes.push(`color=${quote(edge.color)}`);
+            }
+            dot += `    ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};\n`;
+        });
+
+        dot += '}\n';
+        return new Blob([dot], { type: 'text/vnd.graphviz;charset=utf-8' });
+    }
+
     /**
      * Get emoji for node type
      */
@@ -347,6 +409,45 @@ class ExportEngine {
         }
     }
 
+    /**
+     * Markdown of a node's comment threads: one list per thread, replies indented under the first comment
+     */
+    getCommentsMarkdown(threads) {
+        if (threads.length === 0) return '';
+
+        let markdown = '#### Comments\n\n';
+        threads.forEach(thread => {
+            const status = thread.resolved
+                ? `Resolved${thread.resolved_by ? ` by ${thread.resolved_by}` : ''}`
+                : 'Open';
+            markdown += `**Thread (${status})**\n\n`;
+
+            thread.comments.forEach((comment, index) => {
+                const indent = index > 0 ? '    ' : '';
+                const text = comment.text.split('\n').join(`\n${indent}  `);
+                markdown += `${indent}- **${comment.author}** (${new Date(comment.created_at).toLocaleString()}): ${text}\n`;
+            });
+            markdown += '\n';
+        });
+
+        return markdown;
+    }
+
+    /**
+     * Export and download as Graphviz DOT
+     */
+    async exportAndDownloadDOT(flowData, filename, options = {}) {
+        try {
+            const blob = await this.exportToDOT(flowData, options);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            const finalFilename = filename || `claude-flow-${timestamp}.dot`;
+            return this.downloadBlob(blob, finalFilename);
+        } catch (error) {
+            console.error('Export to DOT failed:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get current flow data from canvas
      */
@@ -415,3 +516,8 @@ class ExportEngine {
 if (typeof window !== 'undefined') {
     window.ExportEngine = ExportEngine;
 }
+
+// Node.js export for the bridge CLI (JSON, Markdown and DOT need no canvas)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportEngine;
+}
@@ -0,0 +1,223 @@
+/**
+ * Flow Journal - Crash-safe storage for a single flow
+ *
+ * Mutations are appended to a JSONL log and periodically compacted into a
+ * JSON snapshot. Snapshots are written atomically (temp file + rename), and
+ * all writes go through one queue so they never interleave.
+ * On load, the snapshot is read and the log replayed on top of it; a torn
+ * final line left by a crash is dropped and truncated away.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EventLog = require('./event-log');
+
+class FlowJournal {
+    /**
+     * @param {Object} options
+     * @param {string} options.snapshotFile - Snapshot path (e.g. data/flow.json)
+     * @param {string} [options.logFile] - Log path (defaults to <snapshot>.log.jsonl)
+     * @param {Function} options.getSnapshot - Returns the current in-memory flow data
+     * @param {number} [options.compactEvery] - Compact after this many appended events
+     * @param {number} [options.compactDelay] - Compact after this many ms without new events
+     */
+    constructor(options) {
+        this.snapshotFile = options.snapshotFile;
+        this.logFile = options.logFile || FlowJournal.getLogFile(options.snapshotFile);
+        this.getSnapshot = options.getSnapshot;
+        this.compactEvery = options.compactEvery || 200;
+        this.compactDelay = options.compactDelay !== undefined ? options.compactDelay : 2000;
+
+        this.queue = Promise.resolve();
+        this.pendingEvents = 0;
+        this.compactTimer = null;
+    }
+
+    /**
+     * Get the log file that belongs to a snapshot file
+     */
+    static getLogFile(snapshotFile) {
+        return snapshotFile.replace(/\.json$/, '') + '.log.jsonl';
+    }
+
+    /**
+     * Write a file atomically (temp file, fsync, rename)
+     */
+    static async writeFileAtomic(file, content) {
+        const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            await fs.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Load the snapshot and replay the log on top of it
+     * @param {Object} emptyFlow - Flow data to start from when there is no snapshot
+     * @returns {Promise<Object|null>} - Flow data, or null if nothing was stored
+     */
+    async load(emptyFlow) {
+        let flowData = null;
+
+        try {
+            flowData = JSON.parse(await fs.readFile(this.snapshotFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const events = await this.readLog();
+        if (!flowData && events.length === 0) {
+            return null;
+        }
+
+        flowData = flowData || emptyFlow;
+        flowData.seq = flowData.seq || 0;
+        flowData.nodes = flowData.nodes || [];
+        flowData.edges = flowData.edges || [];
+
+        let replayed = 0;
+        events.forEach(event => {
+            if (event.seq > flowData.seq) {
+                EventLog.apply(flowData, event);
+                replayed++;
+            }
+        });
+
+        if (replayed > 0) {
+            console.log(`Replayed ${replayed} journal event(s) from ${path.basename(this.logFile)}`);
+        }
+
+        return flowData;
+    }
+
+    /**
+     * Read all complete events from the log, truncating a torn or corrupt tail
+     */
+    async readLog() {
+        let content;
+        try {
+            content = await fs.readFile(this.logFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const events = [];
+        const lines = content.split('\n');
+        // Every append ends with a newline, so the last segment is either empty or torn
+        const completeLines = lines.slice(0, -1);
+        let validLength = 0;
+
+        for (const line of completeLines) {
+            if (line.trim() !== '') {
+                try {
+                    events.push(JSON.parse(line));
+                } catch (error) {
+                    break;
+                }
+            }
+            validLength += Buffer.byteLength(line, 'utf8') + 1;
+        }
+
+        const totalLength = Buffer.byteLength(content, 'utf8');
+        if (validLength < totalLength) {
+            // Partial last line (crash mid-append) or corrupt tail: drop it
+            console.warn(`Recovered torn journal ${path.basename(this.logFile)}: dropped ${totalLength - validLength} byte(s)`);
+            await fs.truncate(this.logFile, validLength);
+        }
+
+        return events;
+    }
+
+    /**
+     * Run a write task after all previously queued writes
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(error => {
+            console.error(`Journal write failed (${path.basename(this.logFile)}):`, error);
+        });
+        return run;
+    }
+
+    /**
+     * Append an event to the log
+     * @returns {Promise} - Resolves once the event is written
+     */
+    append(event) {
+        this.pendingEvents++;
+
+        const written = this.enqueue(() => fs.appendFile(this.logFile, JSON.stringify(event) + '\n', 'utf8'));
+
+        if (this.pendingEvents >= this.compactEvery) {
+            this.compact();
+        } else {
+            this.scheduleCompaction();
+        }
+
+        return written;
+    }
+
+    /**
+     * Compact after a quiet period, so the snapshot stays reasonably fresh
+     */
+    scheduleCompaction() {
+        if (this.compactTimer) {
+            clearTimeout(this.compactTimer);
+        }
+
+        this.compactTimer = setTimeout(() => {
+            this.compactTimer = null;
+            this.compact();
+        }, this.compactDelay);
+
+        if (this.compactTimer.unref) {
+            this.compactTimer.unref();
+        }
+    }
+
+    /**
+     * Write a snapshot of the current flow and empty the log
+     * @returns {Promise} - Resolves once the snapshot is written
+     */
+    compact() {
+        if (this.compactTimer) {
+            clearTimeout(this.compactTimer);
+            this.compactTimer = null;
+        }
+
+        this.pendingEvents = 0;
+
+        return this.enqueue(async () => {
+            // Taken when the task runs, so it contains every event already in the log
+            const flowData = this.getSnapshot();
+            await FlowJournal.writeFileAtomic(this.snapshotFile, JSON.stringify(flowData, null, 2));
+            await fs.writeFile(this.logFile, '', 'utf8');
+            console.log(`Compacted ${path.basename(this.snapshotFile)}: ${flowData.nodes.length} nodes, ${flowData.edges.length} edges`);
+        });
+    }
+
+    /**
+     * Wait for all queued writes
+     */
+    flush() {
+        return this.queue;
+    }
+}
+
+module.exports = FlowJournal;
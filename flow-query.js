@@ -0,0 +1,275 @@
+/**
+ * Flow Query - Filtering, pagination and graph traversal over a conversation's flow
+ *
+ * Nodes are linked parent -> child through `parent_id` and from -> to through edges;
+ * both count the same when walking the graph. Queries work on a snapshot of the flow
+ * taken when the FlowQuery is created.
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+class FlowQuery {
+    /**
+     * @param {Object} flowData - Flow data ({ nodes, edges, ... })
+     */
+    constructor(flowData) {
+        this.nodes = flowData.nodes || [];
+        this.edges = flowData.edges || [];
+        this.byId = new Map(this.nodes.map(node => [node.id, node]));
+
+        // node ID -> Set of linked node IDs, in both directions
+        this.children = new Map();
+        this.parents = new Map();
+        this.nodes.forEach(node => {
+            if (node.parent_id) this.link(node.parent_id, node.id);
+        });
+        this.edges.forEach(edge => this.link(edge.from, edge.to));
+    }
+
+    link(from, to) {
+        if (!this.byId.has(from) || !this.byId.has(to) || from === to) return;
+
+        if (!this.children.has(from)) this.children.set(from, new Set());
+        if (!this.parents.has(to)) this.parents.set(to, new Set());
+        this.children.get(from).add(to);
+        this.parents.get(to).add(from);
+    }
+
+    /**
+     * Parse the filters of a node listing (query string parameters)
+     * @param {Object} query - { type, since, until, session, q, limit, cursor }
+     * @returns {Object} - { valid, error, filters }
+     */
+    static parseFilters(query) {
+        const filters = {
+            types: query.type ? String(query.type).split(',').map(type => type.trim()).filter(Boolean) : null,
+            since: null,
+            until: null,
+            session: query.session ? String(query.session) : null,
+            q: query.q ? String(query.q).toLowerCase() : null,
+            limit: DEFAULT_LIMIT,
+            after: null
+        };
+
+        for (const name of ['since', 'until']) {
+            if (query[name] !== undefined && query[name] !== '') {
+                const time = FlowQuery.parseTime(query[name]);
+                if (time === null) {
+                    return { valid: false, error: `${name} must be an ISO date or milliseconds since the epoch` };
+                }
+                filters[name] = time;
+            }
+        }
+
+        if (query.limit !== undefined && query.limit !== '') {
+            const limit = Number(query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+                return { valid: false, error: `limit must be between 1 and ${MAX_LIMIT}` };
+            }
+            filters.limit = limit;
+        }
+
+        if (query.cursor) {
+            filters.after = FlowQuery.decodeCursor(query.cursor);
+            if (filters.after === null) {
+                return { valid: false, error: 'Invalid cursor' };
+            }
+        }
+
+        return { valid: true, filters };
+    }
+
+    /**
+     * Milliseconds of an ISO date or a number of milliseconds, null when neither
+     */
+    static parseTime(value) {
+        const text = String(value);
+        const time = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Cursors are the ID of the last node of a page, opaque to clients
+     */
+    static encodeCursor(nodeId) {
+        return Buffer.from(JSON.stringify({ after: nodeId })).toString('base64url');
+    }
+
+    static decodeCursor(cursor) {
+        try {
+            const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            return typeof decoded.after === 'string' ? decoded.after : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Time of a node (top level timestamp, or the one terminal nodes keep in metadata)
+     */
+    static getNodeTime(node) {
+        const timestamp = node.timestamp || (node.metadata && node.metadata.timestamp);
+        const time = timestamp ? Date.parse(timestamp) : NaN;
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Session a node belongs to (Claude Code transcripts and hooks, claude runs, terminal sessions)
+     */
+    static getNodeSession(node) {
+        const metadata = node.metadata || {};
+        return node.session_id || metadata.session_id || metadata.claude_session_id || metadata.terminal_session || null;
+    }
+
+    /**
+     * Check a node against parsed filters
+     */
+    static matches(node, filters) {
+        if (filters.types && !filters.types.includes(node.type)) {
+            return false;
+        }
+
+        if (filters.since !== null || filters.until !== null) {
+            const time = FlowQuery.getNodeTime(node);
+            if (time === null) return false;
+            if (filters.since !== null && time < filters.since) return false;
+            if (filters.until !== null && time > filters.until) return false;
+        }
+
+        if (filters.session && FlowQuery.getNodeSession(node) !== filters.session) {
+            return false;
+        }
+
+        if (filters.q) {
+            const text = [node.id, node.title, node.label, node.content]
+                .filter(value => typeof value === 'string')
+                .join('\n')
+                .toLowerCase();
+            if (!text.includes(filters.q)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * List the nodes matching filters, in flow order, one page at a time
+     * @param {Object} filters - Result of parseFilters()
+     * @returns {Object} - { valid, error, nodes, total, next_cursor }; invalid when the cursor's node is gone
+     */
+    list(filters) {
+        const matching = this.nodes.filter(node => FlowQuery.matches(node, filters));
+        let start = 0;
+
+        if (filters.after !== null) {
+            const index = this.nodes.findIndex(node => node.id === filters.after);
+            if (index === -1) {
+                return { valid: false, error: 'Cursor no longer valid (its node was deleted)' };
+            }
+            // First match after the cursor's node in flow order (it may no longer match itself)
+            const position = new Map(this.nodes.map((node, i) => [node.id, i]));
+            start = matching.findIndex(node => position.get(node.id) > index);
+            if (start === -1) start = matching.length;
+        }
+
+        const nodes = matching.slice(start, start + filters.limit);
+        const hasMore = start + nodes.length < matching.length;
+
+        return {
+            valid: true,
+            nodes,
+            total: matching.length,
+            next_cursor: hasMore ? FlowQuery.encodeCursor(nodes[nodes.length - 1].id) : null
+        };
+    }
+
+    /**
+     * Get a node by ID
+     */
+    get(nodeId) {
+        return this.byId.get(nodeId) || null;
+    }
+
+    /**
+     * Nodes reachable from a node, nearest first (breadth-first)
+     * @param {string} direction - 'ancestors' or 'descendants'
+     * @param {number} [maxDepth] - Stop after this many links (default: no limit)
+     * @returns {Array|null} - [{ node, depth }], or null if the node does not exist
+     */
+    traverse(nodeId, direction, maxDepth = Infinity) {
+        if (!this.byId.has(nodeId)) return null;
+
+        const links = direction === 'ancestors' ? this.parents : this.children;
+        const seen = new Set([nodeId]);
+        const found = [];
+        let frontier = [nodeId];
+
+        for (let depth = 1; frontier.length > 0 && depth <= maxDepth; depth++) {
+            const next = [];
+            frontier.forEach(id => {
+                (links.get(id) || []).forEach(linked => {
+                    if (seen.has(linked)) return;
+                    seen.add(linked);
+                    found.push({ node: this.byId.get(linked), depth });
+                    next.push(linked);
+                });
+            });
+            frontier = next;
+        }
+
+        return found;
+    }
+
+    /**
+     * Shortest path following links downstream (parent to child, edge from to edge to)
+     * @returns {Array|null} - Nodes from `fromId` to `toId`, or null without a path
+     */
+    path(fromId, toId) {
+        if (!this.byId.has(fromId) || !this.byId.has(toId)) return null;
+
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === toId) {
+                const path = [];
+                for (let step = toId; step !== null; step = previous.get(step)) {
+                    path.unshift(this.byId.get(step));
+                }
+                return path;
+            }
+
+            (this.children.get(id) || []).forEach(child => {
+                if (!previous.has(child)) {
+                    previous.set(child, id);
+                    queue.push(child);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Edges between the given nodes (links made only through parent_id have no edge to return)
+     */
+    getEdgesBetween(nodeIds) {
+        const ids = new Set(nodeIds);
+        return this.edges.filter(edge => ids.has(edge.from) && ids.has(edge.to));
+    }
+
+    /**
+     * Edges along a path: one per step, where the step is not just a parent_id link
+     */
+    getEdgesAlong(nodeIds) {
+        return nodeIds.slice(1)
+            .map((id, i) => this.edges.find(edge => edge.from === nodeIds[i] && edge.to === id))
+            .filter(Boolean);
+    }
+}
+
+FlowQuery.DEFAULT_LIMIT = DEFAULT_LIMIT;
+FlowQuery.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = FlowQuery;
@@ -0,0 +1,326 @@
+/**
+ * Flow Schema - Validation and ID integrity for incoming nodes and edges
+ *
+ * Modes:
+ * - reject: any problem rejects the whole batch
+ * - repair: fixable fields are repaired, invalid items and duplicates are dropped
+ * - reid:   like repair, but duplicate node/edge IDs get fresh IDs and references
+ *           inside the batch are rewritten (e.g. bridge runs that start at node-1)
+ */
+
+const EventLog = require('./event-log');
+
+const VALIDATION_MODES = ['reject', 'repair', 'reid'];
+
+class FlowSchema {
+    /**
+     * @param {Object} options
+     * @param {string} [options.mode] - Default validation mode
+     */
+    constructor(options = {}) {
+        this.mode = FlowSchema.isValidMode(options.mode) ? options.mode : 'reid';
+        this.reidCounter = 0;
+    }
+
+    /**
+     * Check a validation mode name
+     */
+    static isValidMode(mode) {
+        return VALIDATION_MODES.includes(mode);
+    }
+
+    /**
+     * Check for a plain (non-array) object
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Check for a non-empty string
+     */
+    static isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    /**
+     * Check a single node's fields
+     * @returns {Array} - Problems: { field, message, fix } (fix is null when not repairable)
+     */
+    checkNode(node) {
+        if (!FlowSchema.isPlainObject(node)) {
+            return [{ field: null, message: 'Node must be an object', fix: null }];
+        }
+
+        const problems = [];
+
+        if (!FlowSchema.isNonEmptyString(node.id)) {
+            problems.push({ field: 'id', message: 'id must be a non-empty string', fix: null });
+        }
+
+        if (!FlowSchema.isNonEmptyString(node.type)) {
+            problems.push({ field: 'type', message: 'type must be a non-empty string', fix: null });
+        }
+
+        if (node.content !== undefined && node.content !== null && typeof node.content !== 'string') {
+            problems.push({
+                field: 'content',
+                message: 'content must be a string',
+                fix: item => {
+                    item.content = typeof item.content === 'object' ? JSON.stringify(item.content) : String(item.content);
+                }
+            });
+        }
+
+        if (node.parent_id !== undefined && node.parent_id !== null && !FlowSchema.isNonEmptyString(node.parent_id)) {
+            problems.push({
+                field: 'parent_id',
+                message: 'parent_id must be a string or null',
+                fix: item => { item.parent_id = null; }
+            });
+        }
+
+        if (node.position !== undefined && !(
+            FlowSchema.isPlainObject(node.position) &&
+            Number.isFinite(node.position.x) &&
+            Number.isFinite(node.position.y)
+        )) {
+            problems.push({
+                field: 'position',
+                message: 'position must be { x, y } with finite numbers',
+                fix: item => { delete item.position; }
+            });
+        }
+
+        if (node.timestamp !== undefined && (typeof node.timestamp !== 'string' || isNaN(Date.parse(node.timestamp)))) {
+            problems.push({
+                field: 'timestamp',
+                message: 'timestamp must be an ISO date string',
+                fix: item => { delete item.timestamp; }
+            });
+        }
+
+        if (node.metadata !== undefined && node.metadata !== null && !FlowSchema.isPlainObject(node.metadata)) {
+            problems.push({
+                field: 'metadata',
+                message: 'metadata must be an object',
+                fix: item => { delete item.metadata; }
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check a single edge's fields (references are checked by validateBatch)
+     * @returns {Array} - Problems: { field, message, fix }
+     */
+    checkEdge(edge) {
+        if (!FlowSchema.isPlainObject(edge)) {
+            return [{ field: null, message: 'Edge must be an object', fix: null }];
+        }
+
+        const problems = [];
+
+        ['from', 'to'].forEach(field => {
+            if (!FlowSchema.isNonEmptyString(edge[field])) {
+                problems.push({ field, message: `${field} must be a non-empty string`, fix: null });
+            }
+        });
+
+        if (edge.id !== undefined && !FlowSchema.isNonEmptyString(edge.id)) {
+            problems.push({
+                field: 'id',
+                message: 'id must be a non-empty string',
+                fix: item => { delete item.id; }
+            });
+        }
+
+        ['type', 'style', 'color'].forEach(field => {
+            if (edge[field] !== undefined && typeof edge[field] !== 'string') {
+                problems.push({
+                    field,
+                    message: `${field} must be a string`,
+                    fix: item => { delete item[field]; }
+                });
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Generate an ID that is not in any of the given sets
+     */
+    generateId(baseId, ...takenSets) {
+        let id;
+        do {
+            id = `${baseId}-${Date.now().toString(36)}${(this.reidCounter++).toString(36)}`;
+        } while (takenSets.some(set => set.has(id)));
+        return id;
+    }
+
+    /**
+     * Validate a batch of nodes and edges against an existing flow
+     * @param {Object} flowData - Current flow ({ nodes, edges })
+     * @param {Array} nodes - Incoming nodes
+     * @param {Array} edges - Incoming edges
+     * @param {Object} [options] - { mode } to override the default mode
+     * @returns {Object} - { valid, mode, nodes, edges, issues, id_map }
+     */
+    validateBatch(flowData, nodes = [], edges = [], options = {}) {
+        const mode = FlowSchema.isValidMode(options.mode) ? options.mode : this.mode;
+        const issues = [];
+        const idMap = {};
+
+        const existingNodeIds = new Set(flowData.nodes.map(node => node.id));
+        const existingEdgeIds = new Set(flowData.edges.map(EventLog.getEdgeId));
+        const batchNodeIds = new Set();
+        const batchEdgeIds = new Set();
+
+        const report = (item, index, id, field, message, action) => {
+            issues.push({ item, index, id: id || null, field, message, action: mode === 'reject' ? 'rejected' : action });
+        };
+
+        // 1. Node fields and duplicate IDs
+        const acceptedNodes = [];
+        nodes.forEach((node, index) => {
+            const problems = this.checkNode(node);
+            const nodeId = node && node.id;
+
+            problems.forEach(problem => {
+                report('node', index, nodeId, problem.field, problem.message, problem.fix ? 'repaired' : 'dropped');
+            });
+
+            if (problems.some(problem => !problem.fix)) {
+                return;
+            }
+
+            const repaired = { ...node };
+            problems.forEach(problem => problem.fix(repaired));
+
+            if (existingNodeIds.has(repaired.id) || batchNodeIds.has(repaired.id)) {
+                if (mode === 'reid') {
+                    const newId = this.generateId(repaired.id, existingNodeIds, batchNodeIds);
+                    // References inside the batch follow a node that collided with the existing flow
+                    if (!batchNodeIds.has(repaired.id) && !(repaired.id in idMap)) {
+                        idMap[repaired.id] = newId;
+                    }
+                    report('node', index, repaired.id, 'id', `Duplicate node ID, re-assigned to ${newId}`, 'reid');
+                    repaired.id = newId;
+                } else {
+                    report('node', index, repaired.id, 'id', 'Duplicate node ID', 'dropped');
+                    return;
+                }
+            }
+
+            batchNodeIds.add(repaired.id);
+            acceptedNodes.push({ node: repaired, index });
+        });
+
+        const knownNodeIds = new Set([...existingNodeIds, ...batchNodeIds]);
+        const remap = id => (id in idMap ? idMap[id] : id);
+
+        // 2. Parent references
+        acceptedNodes.forEach(({ node, index }) => {
+            if (node.parent_id === undefined || node.parent_id === null) {
+                return;
+            }
+
+            node.parent_id = remap(node.parent_id);
+            if (!knownNodeIds.has(node.parent_id)) {
+                report('node', index, node.id, 'parent_id', `Unknown parent node: ${node.parent_id}`, 'repaired');
+                node.parent_id = null;
+            }
+        });
+
+        // 3. Edges: fields, references and duplicate IDs
+        const acceptedEdges = [];
+        edges.forEach((edge, index) => {
+            const problems = this.checkEdge(edge);
+            const edgeId = edge && edge.id;
+
+            problems.forEach(problem => {
+                report('edge', index, edgeId, problem.field, problem.message, problem.fix ? 'repaired' : 'dropped');
+            });
+
+            if (problems.some(problem => !problem.fix)) {
+                return;
+            }
+
+            const repaired = { ...edge, from: remap(edge.from), to: remap(edge.to) };
+            problems.forEach(problem => problem.fix(repaired));
+
+            const unknown = ['from', 'to'].filter(field => !knownNodeIds.has(repaired[field]));
+            if (unknown.length > 0) {
+                unknown.forEach(field => {
+                    report('edge', index, edgeId, field, `Unknown node: ${repaired[field]}`, 'dropped');
+                });
+                return;
+            }
+
+            const id = EventLog.getEdgeId(repaired);
+            if (existingEdgeIds.has(id) || batchEdgeIds.has(id)) {
+                if (mode === 'reid') {
+                    const newId = this.generateId(id, existingEdgeIds, batchEdgeIds);
+                    report('edge', index, id, 'id', `Duplicate edge ID, re-assigned to ${newId}`, 'reid');
+                    repaired.id = newId;
+                } else {
+                    report('edge', index, id, 'id', 'Duplicate edge ID', 'dropped');
+                    return;
+                }
+            }
+
+            batchEdgeIds.add(EventLog.getEdgeId(repaired));
+            acceptedEdges.push(repaired);
+        });
+
+        const valid = mode !== 'reject' || issues.length === 0;
+
+        return {
+            valid,
+            mode,
+            nodes: valid ? acceptedNodes.map(({ node }) => node) : [],
+            edges: valid ? acceptedEdges : [],
+            issues,
+            id_map: idMap
+        };
+    }
+
+    /**
+     * Validate a node after a patch (patches must always produce a valid node)
+     * @returns {Array} - Issues, empty if valid
+     */
+    validatePatchedNode(node, changes) {
+        const issues = this.checkNode(node).map(problem => ({
+            item: 'node', id: node.id, field: problem.field, message: problem.message, action: 'rejected'
+        }));
+
+        if (changes.id !== undefined && changes.id !== node.id) {
+            issues.push({ item: 'node', id: node.id, field: 'id', message: 'id cannot be changed', action: 'rejected' });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validate an edge after a patch against the flow's nodes
+     * @returns {Array} - Issues, empty if valid
+     */
+    validatePatchedEdge(flowData, edge, changes) {
+        const edgeId = EventLog.getEdgeId(edge);
+        const issues = this.checkEdge(edge).map(problem => ({
+            item: 'edge', id: edgeId, field: problem.field, message: problem.message, action: 'rejected'
+        }));
+
+        ['from', 'to'].forEach(field => {
+            if (changes[field] !== undefined && !flowData.nodes.some(node => node.id === edge[field])) {
+                issues.push({ item: 'edge', id: edgeId, field, message: `Unknown node: ${edge[field]}`, action: 'rejected' });
+            }
+        });
+
+        return issues;
+    }
+}
+
+module.exports = FlowSchema;
@@ -0,0 +1,252 @@
+/**
+ * Hook Mapper - Turns Claude Code hook payloads into flow nodes
+ *
+ * Claude Code runs hook commands with a JSON payload on stdin
+ * (session_id, cwd, hook_event_name and event fields):
+ * - UserPromptSubmit: prompt                               -> user_prompt node
+ * - PreToolUse:       tool_name, tool_input, tool_use_id   -> tool_use node (running)
+ * - PostToolUse:      ... plus tool_response               -> patches the PreToolUse node
+ * - Stop:             Claude finished responding           -> claude_stop node
+ * - SubagentStop:     a subagent (Task) finished           -> subagent_stop node
+ *
+ * Nodes of a conversation are chained in arrival order. Each PostToolUse is paired
+ * with its PreToolUse (by tool_use_id, or by tool name and input for hook payloads
+ * without one), so a tool call is one node carrying its duration.
+ */
+
+const TranscriptImporter = require('./transcript-importer');
+
+const HOOK_EVENTS = ['PreToolUse', 'PostToolUse', 'UserPromptSubmit', 'Stop', 'SubagentStop'];
+
+class HookMapper {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxContentLength] - Longer prompts and tool responses are cut
+     * @param {number} [options.pendingTtl] - Forget PreToolUse events without a PostToolUse after this many ms
+     */
+    constructor(options = {}) {
+        this.maxContentLength = options.maxContentLength || 5000;
+        this.pendingTtl = options.pendingTtl || 60 * 60 * 1000;
+        this.sessions = new Map(); // conversation ID -> { lastNodeId, promptAt, pending }
+        this.nodeCounter = 0;
+    }
+
+    /**
+     * Resolve a hook event name ("PreToolUse", "pre_tool_use", "pre-tool-use") to its canonical name
+     * @returns {string|null}
+     */
+    static resolveEvent(name) {
+        const normalized = String(name || '').replace(/[-_]/g, '').toLowerCase();
+        return HOOK_EVENTS.find(event => event.toLowerCase() === normalized) || null;
+    }
+
+    /**
+     * Get the hook state of a conversation
+     */
+    getSession(conversationId) {
+        if (!this.sessions.has(conversationId)) {
+            this.sessions.set(conversationId, { lastNodeId: null, promptAt: null, pending: new Map() });
+        }
+        return this.sessions.get(conversationId);
+    }
+
+    /**
+     * Map a hook payload
+     * @param {string} conversationId - Conversation the nodes go to
+     * @param {string} event - Canonical hook event name (see resolveEvent)
+     * @param {Object} payload - Hook payload
+     * @returns {Object} - { nodes, edges, patches: [{ id, changes }] }
+     */
+    map(conversationId, event, payload, now = Date.now()) {
+        const session = this.getSession(conversationId);
+        const result = { nodes: [], edges: [], patches: [] };
+        this.expirePending(session, now);
+
+        switch (event) {
+            case 'UserPromptSubmit':
+                session.promptAt = now;
+                this.addNode(session, result, this.createNode(payload, 'user_prompt', 'User',
+                    this.truncate(payload.prompt), {}, now));
+                break;
+
+            case 'PreToolUse': {
+                const node = this.createNode(payload, 'tool_use', payload.tool_name || 'Tool',
+                    TranscriptImporter.summarizeToolInput(payload.tool_input), {
+                        ...this.getToolMetadata(payload),
+                        status: 'running',
+                        started_at: new Date(now).toISOString(),
+                        ended_at: null,
+                        duration_ms: null
+                    }, now);
+                session.pending.set(this.getPendingKey(payload), { nodeId: node.id, startedAt: now });
+                this.addNode(session, result, node);
+                break;
+            }
+
+            case 'PostToolUse': {
+                const key = this.getPendingKey(payload);
+                const pending = session.pending.get(key);
+                const toolResult = this.getToolResult(payload.tool_response);
+                const completion = {
+                    status: toolResult.is_error ? 'error' : 'complete',
+                    ended_at: new Date(now).toISOString(),
+                    duration_ms: pending ? now - pending.startedAt : null,
+                    response: toolResult.text,
+                    is_error: toolResult.is_error
+                };
+
+                if (pending) {
+                    session.pending.delete(key);
+                    result.patches.push({ id: pending.nodeId, changes: { metadata: completion } });
+                } else {
+                    // No PreToolUse seen (hook not configured, or the server restarted in between)
+                    this.addNode(session, result, this.createNode(payload, 'tool_use', payload.tool_name || 'Tool',
+                        TranscriptImporter.summarizeToolInput(payload.tool_input), {
+                            ...this.getToolMetadata(payload),
+                            started_at: null,
+                            ...completion
+                        }, now));
+                }
+                break;
+            }
+
+            case 'Stop':
+                this.addNode(session, result, this.createNode(payload, 'claude_stop', 'Stop', '', {
+                    stop_hook_active: Boolean(payload.stop_hook_active),
+                    turn_duration_ms: session.promptAt ? now - session.promptAt : null
+                }, now));
+                session.promptAt = null;
+                break;
+
+            case 'SubagentStop':
+                this.addNode(session, result, this.createNode(payload, 'subagent_stop', 'Subagent Done', '', {
+                    stop_hook_active: Boolean(payload.stop_hook_active),
+                    agent_id: payload.agent_id || null,
+                    agent_transcript_path: payload.agent_transcript_path || null
+                }, now));
+                break;
+
+            default:
+                break;
+        }
+
+        return result;
+    }
+
+    /**
+     * Key pairing a PostToolUse with its PreToolUse
+     */
+    getPendingKey(payload) {
+        if (payload.tool_use_id) {
+            return payload.tool_use_id;
+        }
+        return `${payload.tool_name}:${JSON.stringify(payload.tool_input || {})}`;
+    }
+
+    /**
+     * Metadata shared by both halves of a tool call
+     */
+    getToolMetadata(payload) {
+        return {
+            tool_use_id: payload.tool_use_id || null,
+            tool_name: payload.tool_name || null,
+            input: payload.tool_input || {}
+        };
+    }
+
+    /**
+     * Text and error flag of a tool_response (its shape depends on the tool)
+     */
+    getToolResult(response) {
+        if (response === undefined || response === null) {
+            return { text: '', is_error: false };
+        }
+        if (typeof response !== 'object') {
+            return { text: this.truncate(response), is_error: false };
+        }
+
+        const isError = Boolean(response.is_error || response.error) || response.success === false;
+        const content = response.content !== undefined ? response.content : response.output;
+        let text;
+        if (typeof response.error === 'string') {
+            text = response.error;
+        } else if (content !== undefined) {
+            text = typeof content === 'string' ? content : TranscriptImporter.getToolResultText(content);
+        } else if (typeof response.stdout === 'string') {
+            text = response.stderr ? `${response.stdout}\n${response.stderr}` : response.stdout;
+        } else {
+            text = JSON.stringify(response);
+        }
+
+        return { text: this.truncate(text), is_error: isError };
+    }
+
+    /**
+     * Create a node for a hook payload
+     * Tool nodes are named after their tool_use ID, so they match across PreToolUse and PostToolUse.
+     */
+    createNode(payload, type, title, content, metadata, now) {
+        const id = type === 'tool_use' && payload.tool_use_id
+            ? `node-hook-${payload.tool_use_id}`
+            : `node-hook-${now}-${++this.nodeCounter}`;
+
+        return {
+            id,
+            type,
+            title,
+            content,
+            parent_id: null,
+            timestamp: new Date(now).toISOString(),
+            metadata: {
+                hook_event: payload.hook_event_name || null,
+                session_id: payload.session_id || null,
+                cwd: payload.cwd || null,
+                transcript_path: payload.transcript_path || null,
+                ...metadata
+            }
+        };
+    }
+
+    /**
+     * Add a node, linked from the previous node of the conversation
+     */
+    addNode(session, result, node) {
+        if (session.lastNodeId) {
+            node.parent_id = session.lastNodeId;
+            result.edges.push({
+                id: `edge-${session.lastNodeId}-${node.id}`,
+                from: session.lastNodeId,
+                to: node.id,
+                type: 'hook_flow',
+                style: 'solid',
+                color: '#8b5cf6'
+            });
+        }
+
+        result.nodes.push(node);
+        session.lastNodeId = node.id;
+    }
+
+    /**
+     * Forget PreToolUse events whose PostToolUse never came (interrupted tools)
+     */
+    expirePending(session, now) {
+        session.pending.forEach((pending, key) => {
+            if (now - pending.startedAt > this.pendingTtl) {
+                session.pending.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Cut text to maxContentLength
+     */
+    truncate(text) {
+        const value = String(text === undefined || text === null ? '' : text);
+        return value.length > this.maxContentLength ? value.slice(0, this.maxContentLength) + '…' : value;
+    }
+}
+
+HookMapper.EVENTS = HOOK_EVENTS;
+
+module.exports = HookMapper;
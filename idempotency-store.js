@@ -0,0 +1,213 @@
+/**
+ * Idempotency Store - Remembers the responses of requests sent with an Idempotency-Key
+ *
+ * Clients that retry a request (e.g. the bridge replaying its spool) send it with
+ * the key of the first attempt; a key seen before gets the stored response instead
+ * of being applied again. Keys are appended to a JSONL file so replays after a
+ * server restart are recognized too, and expire after `ttl`. Keys can be scoped
+ * (e.g. per caller), so one caller never gets the stored response of another.
+ */
+
+const fs = require('fs').promises;
+const FlowJournal = require('./flow-journal');
+
+class IdempotencyStore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.file] - JSONL file the keys are kept in (memory only without one)
+     * @param {number} [options.ttl] - Forget keys after this many ms
+     * @param {number} [options.maxEntries] - Keep at most this many keys (oldest are dropped first)
+     * @param {Function} [options.redact] - (request, body) => body to write to the file (memory keeps the whole body)
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 10000;
+        this.redact = options.redact || null;
+        this.entries = new Map(); // scoped key -> { key, scope, request, status, body, timestamp }
+        this.pending = new Map(); // scoped key -> Promise resolved when the first request finished
+        this.linesWritten = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Check that a client-provided key is usable
+     */
+    static isValidKey(key) {
+        return typeof key === 'string' && /^[A-Za-z0-9_.:-]{1,128}$/.test(key);
+    }
+
+    /**
+     * Map key of a client key within a scope
+     */
+    static scopeKey(scope, key) {
+        return scope ? `${scope}\n${key}` : key;
+    }
+
+    /**
+     * Load the stored keys (torn or expired lines are skipped)
+     */
+    async load() {
+        if (!this.file) return;
+
+        let content;
+        try {
+            content = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                const entry = JSON.parse(line);
+                if (entry && IdempotencyStore.isValidKey(entry.key)) {
+                    this.entries.set(IdempotencyStore.scopeKey(entry.scope, entry.key), entry);
+                }
+            } catch (error) {
+                // Last line torn by a crash
+            }
+        });
+
+        this.linesWritten = this.entries.size;
+        this.prune();
+    }
+
+    /**
+     * Get the stored response of a key
+     * @param {string} [scope] - Scope the key was stored in
+     * @returns {Object|null} - { key, scope, request, status, body, timestamp }
+     */
+    get(key, scope = '') {
+        const scopedKey = IdempotencyStore.scopeKey(scope, key);
+        const entry = this.entries.get(scopedKey);
+        if (!entry) return null;
+
+        if (Date.now() - Date.parse(entry.timestamp) > this.ttl) {
+            this.entries.delete(scopedKey);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store the response of a key
+     * @param {string} request - "METHOD /path" the key was used for
+     * @param {string} [scope] - Scope of the key
+     */
+    remember(key, request, status, body, scope = '') {
+        const entry = { key, scope, request, status, body, timestamp: new Date().toISOString() };
+        this.entries.set(IdempotencyStore.scopeKey(scope, key), entry);
+        this.prune();
+
+        if (!this.file) return Promise.resolve();
+
+        this.linesWritten++;
+        const compact = this.linesWritten > this.maxEntries * 2;
+        this.queue = this.queue
+            .then(() => (compact ? this.compact() : fs.appendFile(this.file, this.serialize(entry), 'utf8')))
+            .catch(error => {
+                console.error('Failed to write idempotency keys:', error.message);
+            });
+        return this.queue;
+    }
+
+    /**
+     * Drop expired keys and the oldest ones beyond maxEntries
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (this.entries.size > this.maxEntries || now - Date.parse(entry.timestamp) > this.ttl) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Line of the file for an entry, with its body redacted
+     */
+    serialize(entry) {
+        const stored = this.redact ? { ...entry, body: this.redact(entry.request, entry.body) } : entry;
+        return JSON.stringify(stored) + '\n';
+    }
+
+    /**
+     * Rewrite the file with the keys still kept
+     */
+    async compact() {
+        const lines = Array.from(this.entries.values()).map(entry => this.serialize(entry));
+        await FlowJournal.writeFileAtomic(this.file, lines.join(''));
+        this.linesWritten = this.entries.size;
+    }
+
+    /**
+     * Express middleware: answer repeated requests with the stored response
+     * Only requests carrying an Idempotency-Key header are affected. Responses
+     * with a 5xx status, 401 or 403 are not stored, so those requests can be retried
+     * (e.g. with a valid token). Mount it after the route's authorization check.
+     * @param {Object} [options]
+     * @param {Function} [options.scope] - (req) => scope of the request's key (e.g. the caller)
+     */
+    middleware(options = {}) {
+        return (req, res, next) => {
+            const key = req.get('Idempotency-Key');
+            if (key === undefined || req.method === 'GET') {
+                return next();
+            }
+
+            if (!IdempotencyStore.isValidKey(key)) {
+                return res.status(400).json({ error: 'Invalid Idempotency-Key' });
+            }
+
+            const request = `${req.method} ${req.baseUrl}${req.path}`;
+            const scope = options.scope ? options.scope(req) : '';
+            const scopedKey = IdempotencyStore.scopeKey(scope, key);
+
+            const replay = () => {
+                const entry = this.get(key, scope);
+                if (!entry) return false;
+
+                if (entry.request !== request) {
+                    res.status(422).json({ error: `Idempotency-Key was already used for ${entry.request}` });
+                } else {
+                    res.set('Idempotent-Replayed', 'true').status(entry.status).json(entry.body);
+                }
+                return true;
+            };
+
+            if (replay()) return;
+
+            // The same key is still being handled: answer once the first request finished
+            if (this.pending.has(scopedKey)) {
+                this.pending.get(scopedKey).then(() => {
+                    if (!replay()) next();
+                });
+                return;
+            }
+
+            let finished;
+            this.pending.set(scopedKey, new Promise(resolve => {
+                finished = resolve;
+            }));
+
+            const json = res.json.bind(res);
+            res.json = body => {
+                if (res.statusCode < 500 && res.statusCode !== 401 && res.statusCode !== 403) {
+                    this.remember(key, request, res.statusCode, body, scope);
+                }
+                return json(body);
+            };
+
+            res.on('close', () => {
+                this.pending.delete(scopedKey);
+                finished();
+            });
+
+            next();
+        };
+    }
+}
+
+module.exports = IdempotencyStore;
@@ -10,7 +10,14 @@ class ImportEngine {
             requiredFields: ['nodes', 'edges'],
             nodeRequiredFields: ['id', 'type'],
             edgeRequiredFields: ['from', 'to'],
-            validNodeTypes: ['input', 'output', 'skill', 'auto', 'thought', 'action', 'result', 'error']
+            validNodeTypes: [
+                'input', 'output', 'skill', 'auto', 'thought', 'action', 'result', 'error',
+                // Claude Code transcripts (transcript-importer.js)
+                'user_prompt', 'claude_message', 'thinking', 'tool_use', 'tool_result',
+                'subagent_prompt', 'subagent_message',
+                // Claude Code hooks (hook-mapper.js)
+                'claude_stop', 'subagent_stop'
+            ]
         };
     }
 
@@ -107,6 +114,26 @@ class ImportEngine {
             const reader = new FileReader();
 
             reader.onload = (e) => {
+                // Claude Code session transcripts are JSONL, not flow JSON
+                if (file.name.endsWith('.jsonl') || (window.TranscriptImporter && TranscriptImporter.isTranscript(e.target.result))) {
+                    try {
+                        const result = this.importTranscript(e.target.result);
+                        result.metadata = {
+                            ...result.metadata,
+                            filename: file.name,
+                            size: file.size,
+                            lastModified: new Date(file.lastModified)
+                        };
+                        resolve(result);
+                    } catch (error) {
+                        reject({
+                            message: 'Failed to import transcript',
+                            error: error.message
+                        });
+                    }
+                    return;
+                }
+
                 try {
                     const jsonData = JSON.parse(e.target.result);
                     const validation = this.validateFlowData(jsonData);
@@ -173,9 +200,38 @@ class ImportEngine {
         }
     }
 
+    /**
+     * Import a Claude Code session transcript (JSONL)
+     */
+    importTranscript(text) {
+        if (!window.TranscriptImporter) {
+            throw new Error('Transcript importer not loaded');
+        }
+
+        const transcript = new TranscriptImporter().parse(text);
+        if (transcript.nodes.length === 0) {
+            throw new Error('No messages found in transcript');
+        }
+
+        const validation = this.validateFlowData({ nodes: transcript.nodes, edges: transcript.edges });
+        if (!validation.valid) {
+            throw new Error('Validation failed: ' + validation.errors.join(', '));
+        }
+
+        return {
+            data: validation.data,
+            warnings: [...transcript.warnings, ...validation.warnings],
+            metadata: {
+                transcript: transcript.metadata,
+                importedAt: new Date()
+            }
+        };
+    }
+
     /**
      * Merge imported data with existing canvas data
      */
+
     mergeFlowData(existingData, importedData, options = {}) {
         const config = {
             strategy: 'append', // 'append', 'replace', 'merge'
@@ -323,7 +379,7 @@ class ImportEngine {
     createFileInput(callback) {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.json,.jsonl';
         input.style.display = 'none';
 
         input.addEventListener('change', async (e) => {
@@ -373,9 +429,9 @@ class ImportEngine {
                 const file = files[0];
 
                 // Check file type
-                if (!file.name.endsWith('.json')) {
+                if (!file.name.endsWith('.json') && !file.name.endsWith('.jsonl')) {
                     if (onError) {
-                        onError(new Error('Only JSON files are supported'));
+                        onError(new Error('Only JSON files and JSONL transcripts are supported'));
                     }
                     return;
                 }
@@ -248,6 +248,11 @@ class Interactions {
      * Handle keyboard down
      */
     handleKeyDown(event) {
+        // Keys typed into text fields (e.g. comments) are not shortcuts
+        if (event.target.closest && event.target.closest('input, textarea')) {
+            return;
+        }
+
         // Track multi-select modifier
         if (event.ctrlKey || event.metaKey) {
             this.isMultiSelect = true;
@@ -286,6 +291,7 @@ class Interactions {
     selectNode(nodeId) {
         this.selectedNodes.add(nodeId);
         this.updateNodeSelection(nodeId, true);
+        this.notifySelectionChange();
     }
 
     /**
@@ -294,6 +300,7 @@ class Interactions {
     deselectNode(nodeId) {
         this.selectedNodes.delete(nodeId);
         this.updateNodeSelection(nodeId, false);
+        this.notifySelectionChange();
     }
 
     /**
@@ -315,6 +322,16 @@ class Interactions {
             this.updateNodeSelection(nodeId, false);
         });
         this.selectedNodes.clear();
+        this.notifySelectionChange();
+    }
+
+    /**
+     * Share the selection with the others following the conversation
+     */
+    notifySelectionChange() {
+        if (window.app && window.app.collaboration) {
+            window.app.collaboration.updateSelection(Array.from(this.selectedNodes));
+        }
     }
 
     /**
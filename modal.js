@@ -43,6 +43,14 @@ class Modal {
                         <h3 class="modal-section-title">Relationships</h3>
                         <div class="modal-relationships"></div>
                     </div>
+                    <div class="modal-comments-section">
+                        <h3 class="modal-section-title">Comments</h3>
+                        <div class="modal-comments"></div>
+                        <div class="comment-form">
+                            <textarea class="comment-input" data-thread-id="" rows="2" placeholder="Start a new thread..."></textarea>
+                            <button class="modal-btn modal-btn-secondary" data-comment-action="start">Comment</button>
+                        </div>
+                    </div>
                 </div>
                 <div class="modal-footer">
                     <button class="modal-btn modal-btn-secondary" data-action="copy">
@@ -88,6 +96,14 @@ class Modal {
             });
         });
 
+        // Comment threads (re-rendered with the flow, so listen on the section)
+        this.modal.querySelector('.modal-comments-section').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-comment-action]');
+            if (button) {
+                this.handleCommentAction(button);
+            }
+        });
+
         // Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isOpen) {
@@ -162,6 +178,101 @@ class Modal {
         } else {
             this.modal.querySelector('.modal-relationships-section').classList.add('hidden');
         }
+
+        // Comments
+        this.modal.querySelector('.comment-input[data-thread-id=""]').value = '';
+        this.renderComments();
+    }
+
+    /**
+     * Render the comment threads of the current node (called again when they change)
+     */
+    renderComments() {
+        if (!this.currentNode || !window.app || !window.app.getThreads) return;
+
+        const container = this.modal.querySelector('.modal-comments');
+        const threads = window.app.getThreads(this.currentNode.id);
+
+        // Keep replies being typed
+        const drafts = {};
+        container.querySelectorAll('.comment-input').forEach(input => {
+            drafts[input.getAttribute('data-thread-id')] = input.value;
+        });
+
+        if (threads.length === 0) {
+            container.innerHTML = '<div class="empty-content">No comments yet</div>';
+            return;
+        }
+
+        container.innerHTML = threads.map(thread => `
+            <div class="comment-thread ${thread.resolved ? 'comment-thread-resolved' : ''}" data-thread-id="${this.escapeHtml(thread.id)}">
+                <div class="comment-thread-header">
+                    <span class="comment-thread-status">${thread.resolved
+                        ? `Resolved${thread.resolved_by ? ` by ${this.escapeHtml(thread.resolved_by)}` : ''}`
+                        : 'Open'}</span>
+                    <button class="comment-link" data-comment-action="${thread.resolved ? 'reopen' : 'resolve'}"
+                        data-thread-id="${this.escapeHtml(thread.id)}">${thread.resolved ? 'Reopen' : 'Resolve'}</button>
+                </div>
+                ${thread.comments.map(comment => `
+                    <div class="comment">
+                        <div class="comment-meta">
+                            <span class="comment-author">${this.escapeHtml(comment.author)}</span>
+                            <span class="comment-time">${this.formatTimestamp(comment.created_at)}</span>
+                            <button class="comment-link" data-comment-action="delete" data-thread-id="${this.escapeHtml(thread.id)}"
+                                data-comment-id="${this.escapeHtml(comment.id)}" title="Delete comment">Delete</button>
+                        </div>
+                        <div class="comment-text">${this.renderMarkdown(this.escapeHtml(comment.text))}</div>
+                    </div>
+                `).join('')}
+                ${thread.resolved ? '' : `
+                    <div class="comment-form">
+                        <textarea class="comment-input" data-thread-id="${this.escapeHtml(thread.id)}" rows="1" placeholder="Reply..."></textarea>
+                        <button class="modal-btn modal-btn-secondary" data-comment-action="reply" data-thread-id="${this.escapeHtml(thread.id)}">Reply</button>
+                    </div>
+                `}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.comment-input').forEach(input => {
+            input.value = drafts[input.getAttribute('data-thread-id')] || '';
+        });
+    }
+
+    /**
+     * Start, reply to, resolve, reopen or delete comments
+     */
+    async handleCommentAction(button) {
+        if (!this.currentNode || !window.app) return;
+
+        const action = button.getAttribute('data-comment-action');
+        const threadId = button.getAttribute('data-thread-id');
+        let message;
+
+        if (action === 'start' || action === 'reply') {
+            const input = button.parentNode.querySelector('.comment-input');
+            const text = input.value.trim();
+            if (!text) return;
+
+            message = action === 'start'
+                ? { type: 'comment_add', node_id: this.currentNode.id, text }
+                : { type: 'comment_add', thread_id: threadId, text };
+            input.value = '';
+        } else if (action === 'resolve' || action === 'reopen') {
+            message = { type: 'thread_resolve', thread_id: threadId, resolved: action === 'resolve' };
+        } else if (action === 'delete') {
+            message = { type: 'comment_delete', thread_id: threadId, id: button.getAttribute('data-comment-id') };
+        } else {
+            return;
+        }
+
+        try {
+            await window.app.sendComment(message);
+        } catch (err) {
+            console.error('Comment failed:', err);
+            if (window.ui) {
+                window.ui.error('Comment Failed', err.message);
+            }
+        }
     }
 
     /**
@@ -76,7 +76,8 @@ class ParserV2 {
             extract_metadata: true,
             max_content_length: 500,
             min_content_length: 20,
-            multiline_support: true
+            multiline_support: true,
+            id_prefix: 'node'
         };
     }
 
@@ -798,9 +799,10 @@ class ParserV2 {
 
     /**
      * Generate unique node ID
+     * IDs restart at 1 per parser; a unique id_prefix keeps them apart across parsers (e.g. bridge.js runs)
      */
     generateId() {
-        return `node-${this.nodeIdCounter++}`;
+        return `${this.config.id_prefix || 'node'}-${this.nodeIdCounter++}`;
     }
 
     /**
@@ -887,19 +889,28 @@ class ParserV2 {
     /**
      * Parse Terminal Execution
      * Creates input and output/error nodes for terminal commands
+     * With result.running the nodes start in 'running' state; grow them with
+     * updateTerminalOutput() and finish them with completeTerminalExecution()
      *
      * @param {string} command - The command that was executed
-     * @param {object} result - Execution result { success, output, exit_code, duration_ms }
-     * @param {object} metadata - Additional context { session_id, command_index, previous_output_id, cwd }
+     * @param {object} result - Execution result { success, output, exit_code, duration_ms, running, status }
+     * @param {object} metadata - Additional context { session_id, command_index, previous_output_id, cwd, git_branch, environment, run_id,
+     *                            input_id, output_id (node IDs, generated when not given) }
      * @returns {object} { nodes, edges, lastOutputId }
      */
     parseTerminalExecution(command, result, metadata) {
         const nodes = [];
         const edges = [];
         const timestamp = new Date().toISOString();
+        const running = Boolean(result.running);
+        const cancelled = result.status === 'cancelled';
+        const isError = !running && !cancelled && (!result.success || result.exit_code !== 0);
+        // An explicit status ('cancelled', 'denied') wins over the one derived from the result
+        const status = running ? 'running' : (result.status || (isError ? 'error' : 'complete'));
+        const runId = metadata.run_id || null;
 
         // 1. Create input node
-        const inputId = `node-cmd-${Date.now()}-${this.nodeIdCounter++}`;
+        const inputId = metadata.input_id || `node-cmd-${Date.now()}-${this.nodeIdCounter++}`;
         const inputNode = {
             id: inputId,
             type: 'terminal_input',
@@ -911,16 +922,18 @@ class ParserV2 {
                 timestamp,
                 terminal_session: metadata.session_id || 'default',
                 command_index: metadata.command_index || 0,
-                status: result.success ? 'complete' : 'error',
-                working_directory: metadata.cwd || '/current/path',
-                command: command
+                status,
+                working_directory: metadata.cwd || null,
+                git_branch: metadata.git_branch || null,
+                environment: metadata.environment || {},
+                command: command,
+                run_id: runId
             }
         };
         nodes.push(inputNode);
 
         // 2. Create output or error node
-        const outputId = `node-out-${Date.now()}-${this.nodeIdCounter++}`;
-        const isError = !result.success || result.exit_code !== 0;
+        const outputId = metadata.output_id || `node-out-${Date.now()}-${this.nodeIdCounter++}`;
         const outputNode = {
             id: outputId,
             type: isError ? 'terminal_error' : 'terminal_output',
@@ -932,7 +945,9 @@ class ParserV2 {
                 timestamp,
                 terminal_session: metadata.session_id || 'default',
                 parent_command: inputId,
-                exit_code: result.exit_code !== undefined ? result.exit_code : (result.success ? 0 : 1),
+                status,
+                run_id: runId,
+                exit_code: running ? null : (result.exit_code !== undefined ? result.exit_code : (result.success ? 0 : 1)),
                 duration_ms: result.duration_ms || 0,
                 output_length: (result.output || '').length,
                 truncated: (result.output || '').split('\n').length > 5,
@@ -948,7 +963,7 @@ class ParserV2 {
             to: outputId,
             type: 'command_output',
             style: 'solid',
-            color: isError ? '#ef4444' : '#06b6d4',
+            color: this.getTerminalEdgeColor(isError, cancelled),
             metadata: {
                 relationship: 'command_to_output',
                 timestamp
@@ -978,6 +993,96 @@ class ParserV2 {
         };
     }
 
+    /**
+     * Update Terminal Output
+     * Grows a running output node with the output received so far
+     *
+     * @param {object} outputNode - The running output node
+     * @param {string} output - All output received so far
+     * @returns {object} Updated copy of the node
+     */
+    updateTerminalOutput(outputNode, output) {
+        return {
+            ...outputNode,
+            content: this.truncateOutput(output, 5),
+            metadata: {
+                ...outputNode.metadata,
+                output_length: output.length,
+                truncated: output.split('\n').length > 5
+            }
+        };
+    }
+
+    /**
+     * Complete Terminal Execution
+     * Builds the patches that finish a running command with its real result
+     * A cancelled run keeps its partial output and gets status 'cancelled';
+     * a command refused by the execution policy becomes a terminal_error with status 'denied'
+     *
+     * @param {object} parseResult - Result of parseTerminalExecution() with result.running
+     * @param {object} result - Execution result { success, output, exit_code, duration_ms, status, cwd, git_branch, environment }
+     * @returns {object} { nodePatches: [{ id, changes }], edgePatches: [{ id, changes }] }
+     */
+    completeTerminalExecution(parseResult, result) {
+        const [inputNode, outputNode] = parseResult.nodes;
+        const output = result.output || '';
+        const cancelled = result.status === 'cancelled';
+        const isError = !cancelled && (!result.success || result.exit_code !== 0);
+        const status = result.status || (isError ? 'error' : 'complete');
+
+        // The server reports where the command really ran
+        const inputMetadata = { status };
+        if (result.cwd) {
+            inputMetadata.working_directory = result.cwd;
+        }
+        if (result.git_branch !== undefined) {
+            inputMetadata.git_branch = result.git_branch;
+        }
+        if (result.environment) {
+            inputMetadata.environment = result.environment;
+        }
+
+        return {
+            nodePatches: [
+                {
+                    id: inputNode.id,
+                    changes: { metadata: inputMetadata }
+                },
+                {
+                    id: outputNode.id,
+                    changes: {
+                        type: isError ? 'terminal_error' : 'terminal_output',
+                        content: this.truncateOutput(output, 5),
+                        metadata: {
+                            status,
+                            exit_code: result.exit_code !== undefined ? result.exit_code : (result.success ? 0 : 1),
+                            duration_ms: result.duration_ms || 0,
+                            output_length: output.length,
+                            truncated: output.split('\n').length > 5,
+                            error_message: isError ? output : null
+                        }
+                    }
+                }
+            ],
+            edgePatches: [
+                {
+                    id: `edge-${inputNode.id}-${outputNode.id}`,
+                    changes: { color: this.getTerminalEdgeColor(isError, cancelled) }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Color of the command -> output edge
+     */
+    getTerminalEdgeColor(isError, cancelled) {
+        if (cancelled) {
+            return '#f59e0b';
+        }
+        return isError ? '#ef4444' : '#06b6d4';
+    }
+
     /**
      * Truncate Output
      * Truncates command output to specified number of lines
@@ -0,0 +1,136 @@
+/**
+ * Send Queue - Outgoing messages of one client, with backpressure
+ *
+ * Messages go straight to the socket while its own buffer (bufferedAmount) stays
+ * below lowWaterMark; after that they wait here until it drains. A client that
+ * falls so far behind that the waiting messages pass highWaterMark would never
+ * catch up message by message: the droppable ones (flow events, run output) are
+ * discarded and, once the socket drained, onResync is called to send it fresh
+ * snapshots instead. Messages that a snapshot does not replace (e.g. run_exit,
+ * errors) are never dropped.
+ */
+
+const OPEN = 1; // WebSocket.OPEN
+
+class SendQueue {
+    /**
+     * @param {Object} client - WebSocket, or anything with send(data), readyState and bufferedAmount
+     * @param {Object} [options]
+     * @param {number} [options.lowWaterMark] - Send directly while the socket buffers fewer bytes
+     * @param {number} [options.highWaterMark] - Resync once more bytes than this are waiting
+     * @param {number} [options.drainInterval] - How often a backed-up socket is checked, in ms
+     * @param {Function} [options.onResync] - Called once the socket drained after an overflow
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.lowWaterMark = options.lowWaterMark || 64 * 1024;
+        this.highWaterMark = options.highWaterMark || 4 * 1024 * 1024;
+        this.drainInterval = options.drainInterval || 50;
+        this.onResync = options.onResync || (() => {});
+
+        this.queue = []; // { data, droppable }
+        this.queuedBytes = 0;
+        this.resyncing = false;
+        this.dropped = 0; // Messages discarded since the last resync
+        this.timer = null;
+    }
+
+    /**
+     * Send a message, or queue it behind the ones still waiting
+     * @param {string} data - Serialized message
+     * @param {boolean} [droppable] - Whether a snapshot resync replaces it
+     * @returns {boolean} - false when the message was dropped or the client is closed
+     */
+    send(data, droppable = false) {
+        if (this.client.readyState !== OPEN) {
+            return false;
+        }
+
+        if (droppable && this.resyncing) {
+            this.dropped++;
+            return false;
+        }
+
+        if (this.queue.length === 0 && this.getBufferedAmount() < this.lowWaterMark) {
+            this.client.send(data);
+            return true;
+        }
+
+        this.queue.push({ data, droppable });
+        this.queuedBytes += data.length;
+        if (this.queuedBytes > this.highWaterMark) {
+            this.overflow();
+        }
+        this.scheduleDrain();
+        return true;
+    }
+
+    /**
+     * Drop the waiting droppable messages and wait for the socket to drain before resyncing
+     */
+    overflow() {
+        const kept = this.queue.filter(item => !item.droppable);
+        this.dropped += this.queue.length - kept.length;
+        this.queue = kept;
+        this.queuedBytes = kept.reduce((total, item) => total + item.data.length, 0);
+        this.resyncing = true;
+    }
+
+    /**
+     * Send what the socket takes now; resync once everything went out
+     */
+    drain() {
+        this.timer = null;
+        if (this.client.readyState !== OPEN) {
+            this.clear();
+            return;
+        }
+
+        while (this.queue.length > 0 && this.getBufferedAmount() < this.lowWaterMark) {
+            const item = this.queue.shift();
+            this.queuedBytes -= item.data.length;
+            this.client.send(item.data);
+        }
+
+        if (this.resyncing && this.queue.length === 0 && this.getBufferedAmount() < this.lowWaterMark) {
+            const dropped = this.dropped;
+            this.resyncing = false;
+            this.dropped = 0;
+            this.onResync(dropped);
+        }
+
+        if (this.queue.length > 0 || this.resyncing) {
+            this.scheduleDrain();
+        }
+    }
+
+    scheduleDrain() {
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.drain(), this.drainInterval);
+        }
+    }
+
+    getBufferedAmount() {
+        return this.client.bufferedAmount || 0;
+    }
+
+    /**
+     * Bytes waiting here and in the socket's buffer
+     */
+    get pendingBytes() {
+        return this.queuedBytes + this.getBufferedAmount();
+    }
+
+    /**
+     * Forget everything (the client disconnected)
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+        this.queuedBytes = 0;
+        this.resyncing = false;
+    }
+}
+
+module.exports = SendQueue;
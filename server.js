@@ -2,39 +2,32 @@
 /**
  * Claude Flow WebSocket Server
  * Real-time node communication server with file backup
+ *
+ * `node server.js` starts a server configured through environment variables;
+ * require('./server').createFlowServer(options) embeds one in another program.
  */
 
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const EventEmitter = require('events');
 const fs = require('fs').promises;
-const { exec } = require('child_process');
-const util = require('util');
-
-// Promisify exec for async/await
-const execPromise = util.promisify(exec);
-
-// Configuration
-const PORT = process.env.PORT || 3000;
-const DATA_DIR = path.join(__dirname, 'data');
-const FLOW_FILE = path.join(DATA_DIR, 'flow.json');
-
-// Initialize Express app
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
-
-// Store active connections
-const clients = new Set();
-
-// In-memory flow data
-let flowData = {
-    conversation_id: null,
-    created_at: new Date().toISOString(),
-    nodes: [],
-    edges: []
-};
+const { readdirSync, readFileSync } = require('fs');
+const EventLog = require('./event-log');
+const FlowJournal = require('./flow-journal');
+const FlowSchema = require('./flow-schema');
+const CommandRunner = require('./command-runner');
+const { SessionManager } = require('./shell-sessions');
+const ExecutionPolicy = require('./execution-policy');
+const ClaudeStream = require('./claude-stream');
+const TranscriptImporter = require('./transcript-importer');
+const TranscriptWatcher = require('./transcript-watcher');
+const HookMapper = require('./hook-mapper');
+const IdempotencyStore = require('./idempotency-store');
+const AccessControl = require('./access-control');
+const SendQueue = require('./send-queue');
+const FlowQuery = require('./flow-query');
 
 /**
  * Message Protocol Types
@@ -44,511 +37,2794 @@ const MessageType = {
     SUBSCRIBE: 'subscribe',
     UNSUBSCRIBE: 'unsubscribe',
     REQUEST_STATE: 'request_state',
+    EXECUTE: 'execute',
+    SIGNAL: 'signal',
 
     // Server -> Client
     STATE: 'state',
+    DELTA: 'delta',
     NODE_UPDATE: 'node_update',
     EDGE_UPDATE: 'edge_update',
+    NODE_PATCH: 'node_patch',
+    NODE_DELETE: 'node_delete',
+    EDGE_PATCH: 'edge_patch',
+    EDGE_DELETE: 'edge_delete',
+    COMMENT_ADD: 'comment_add',
+    THREAD_RESOLVE: 'thread_resolve',
+    COMMENT_DELETE: 'comment_delete',
     CLEAR: 'clear',
     ERROR: 'error',
-
-    // Bidirectional
+    VALIDATION_REPORT: 'validation_report',
+    RUN_STARTED: 'run_started',
+    RUN_OUTPUT: 'run_output',
+    RUN_EXIT: 'run_exit',
+    RUN_DENIED: 'run_denied',
+
+    // Bidirectional (clients may ask for the presence list)
+    PRESENCE: 'presence',
+    CURSOR: 'cursor',
     PING: 'ping',
     PONG: 'pong'
 };
 
 /**
- * Initialize data directory
+ * Role a client needs to send each message type (see access-control.js)
+ * Types missing here need the executor role.
  */
-async function initDataDir() {
-    try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        console.log(`Data directory initialized: ${DATA_DIR}`);
-    } catch (error) {
-        console.error('Error creating data directory:', error);
-    }
-}
+const MessageRoles = {
+    [MessageType.SUBSCRIBE]: 'viewer',
+    [MessageType.UNSUBSCRIBE]: 'viewer',
+    [MessageType.REQUEST_STATE]: 'viewer',
+    [MessageType.PING]: 'viewer',
+    [MessageType.PONG]: 'viewer',
+    [MessageType.PRESENCE]: 'viewer',
+    [MessageType.CURSOR]: 'viewer',
+    [MessageType.NODE_UPDATE]: 'editor',
+    [MessageType.EDGE_UPDATE]: 'editor',
+    [MessageType.NODE_PATCH]: 'editor',
+    [MessageType.NODE_DELETE]: 'editor',
+    [MessageType.EDGE_PATCH]: 'editor',
+    [MessageType.EDGE_DELETE]: 'editor',
+    [MessageType.COMMENT_ADD]: 'editor',
+    [MessageType.THREAD_RESOLVE]: 'editor',
+    [MessageType.COMMENT_DELETE]: 'editor',
+    [MessageType.CLEAR]: 'editor',
+    [MessageType.EXECUTE]: 'executor',
+    [MessageType.SIGNAL]: 'executor'
+};
 
 /**
- * Load existing flow data from file
+ * Messages a client that fell behind may miss (see send-queue.js): the state snapshot
+ * it gets afterwards replaces the flow events, presence and cursors are sent again,
+ * and running commands get their output so far in one run_output
  */
-async function loadFlowData() {
-    try {
-        const data = await fs.readFile(FLOW_FILE, 'utf8');
-        flowData = JSON.parse(data);
-        console.log(`Loaded flow data: ${flowData.nodes.length} nodes, ${flowData.edges.length} edges`);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('No existing flow data found, starting fresh');
-        } else {
-            console.error('Error loading flow data:', error);
+const DroppableTypes = new Set([
+    MessageType.STATE,
+    MessageType.DELTA,
+    MessageType.NODE_UPDATE,
+    MessageType.EDGE_UPDATE,
+    MessageType.NODE_PATCH,
+    MessageType.NODE_DELETE,
+    MessageType.EDGE_PATCH,
+    MessageType.EDGE_DELETE,
+    MessageType.COMMENT_ADD,
+    MessageType.THREAD_RESOLVE,
+    MessageType.COMMENT_DELETE,
+    MessageType.CLEAR,
+    MessageType.RUN_OUTPUT,
+    MessageType.PRESENCE,
+    MessageType.CURSOR
+]);
+
+// Longest comment accepted, in characters
+const MAX_COMMENT_LENGTH = 10000;
+
+// Colors of clients' cursors and selections, assigned in connection order
+const CLIENT_COLORS = ['#f97316', '#22c55e', '#3b82f6', '#e11d48', '#a855f7', '#14b8a6', '#eab308', '#ec4899'];
+
+// Most node IDs a cursor message may list as selected
+const MAX_SELECTION = 500;
+
+/**
+ * List the files of the web app in a directory: the HTML pages and the local
+ * scripts and stylesheets they reference
+ * @returns {Set} - File names
+ */
+function listAppFiles(directory) {
+    const pages = readdirSync(directory).filter(name => name.endsWith('.html'));
+    const files = new Set(pages);
+
+    pages.forEach(page => {
+        const html = readFileSync(path.join(directory, page), 'utf8');
+        for (const match of html.matchAll(/(?:src|href)="([A-Za-z0-9][A-Za-z0-9_.-]*\.(?:js|css))(?:\?[^"]*)?"/g)) {
+            files.add(match[1]);
         }
-    }
+    });
+    return files;
 }
 
 /**
- * Save flow data to file (for persistence)
+ * A run's response without what the command printed (output, claude answer)
  */
-async function saveFlowData() {
-    try {
-        await fs.writeFile(FLOW_FILE, JSON.stringify(flowData, null, 2), 'utf8');
-        console.log(`Saved flow data: ${flowData.nodes.length} nodes, ${flowData.edges.length} edges`);
-    } catch (error) {
-        console.error('Error saving flow data:', error);
+function redactRunOutput(body) {
+    const redacted = { ...body, output: null, output_redacted: true };
+    if (body.claude) {
+        redacted.claude = { ...body.claude, output: null };
     }
+    return redacted;
 }
 
 /**
- * Broadcast message to all connected clients
+ * Create a flow server: HTTP API, WebSocket updates and persistence, with state of its own
+ * (several servers can run in one process, e.g. in tests)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (default: 3000, 0 picks a free port)
+ * @param {string} [options.host] - Interface to listen on (default: all)
+ * @param {string} [options.dataDir] - Where conversations are persisted (default: ./data)
+ * @param {number} [options.eventLogSize] - Events kept per conversation for catch-up (default: 1000)
+ * @param {string} [options.policyFile] - Execution policy (default: execution-policy.json)
+ * @param {string} [options.importLimit] - Body limit of transcript imports (default: 50mb)
+ * @param {string} [options.hookLimit] - Body limit of hook payloads (default: 10mb)
+ * @param {string} [options.nodesLimit] - Body limit of POST /api/nodes (default: 10mb)
+ * @param {number} [options.sseKeepAlive] - Interval of keep-alive comments on /api/events in ms (default: 30000)
+ * @param {number} [options.heartbeatInterval] - WebSocket ping interval in ms; peers missing a pong are dropped (default: 30000)
+ * @param {number} [options.sendHighWaterMark] - Bytes queued for a slow client before it is resynced (default: 4 MB)
+ * @param {string} [options.validationMode] - Default validation mode (reject, repair, reid)
+ * @param {number} [options.executeTimeout] - Command timeout in ms (0 disables it)
+ * @param {string} [options.claudeBin] - Executable of claude runs
+ * @param {string} [options.sessionCwd] - Start directory of terminal sessions
+ * @param {string} [options.sessionShell] - Shell of terminal sessions
+ * @param {Object} [options.env] - Environment commands start from (default: process.env)
+ * @param {string|Array} [options.authTokens] - Tokens ("role:token,..." or [{ token, role, name }]);
+ *                                              without any, authentication is off
+ * @param {string} [options.authFile] - JSON file of tokens, instead of authTokens
+ * @param {string} [options.transcriptsDir] - Directory of Claude Code session files to tail
+ * @param {number} [options.transcriptsPollInterval] - Polling interval of the tailing in ms
+ * @param {boolean} [options.transcriptsBackfill] - Import existing session files from the beginning
+ * @returns {EventEmitter} - The server: start(), stop(), addNodes(), getState(), clear(),
+ *                           and an event per broadcast message type (node_update, clear, ...)
  */
-function broadcast(message, excludeClient = null) {
-    const messageStr = JSON.stringify(message);
-    let sentCount = 0;
+function createFlowServer(options = {}) {
+    // Configuration
+    const PORT = options.port !== undefined ? options.port : 3000;
+    const HOST = options.host;
+    const DATA_DIR = path.resolve(options.dataDir || path.join(__dirname, 'data'));
+    const FLOW_FILE = path.join(DATA_DIR, 'flow.json');
+    const CONVERSATIONS_DIR = path.join(DATA_DIR, 'conversations');
+    const DEFAULT_CONVERSATION = 'default';
+    const EVENT_LOG_SIZE = options.eventLogSize || 1000;
+    const POLICY_FILE = options.policyFile || path.join(__dirname, 'execution-policy.json');
+    const IMPORT_LIMIT = options.importLimit || '50mb';
+    const HOOK_LIMIT = options.hookLimit || '10mb';
+    const NODES_LIMIT = options.nodesLimit || '10mb';
+    const SSE_RETRY_MS = 2000; // EventSource reconnect delay
+    const SSE_KEEPALIVE_MS = options.sseKeepAlive || 30000;
+    const HEARTBEAT_MS = options.heartbeatInterval || 30000;
+    const SEND_HIGH_WATER_MARK = options.sendHighWaterMark || 4 * 1024 * 1024;
+    const ENV = options.env || process.env;
+
+    // The server itself: start/stop, in-process API and events (see the end of createFlowServer)
+    const flowServer = new EventEmitter();
+
+    // Initialize Express app
+    const app = express();
+    const server = http.createServer(app);
+    const wss = new WebSocket.Server({ server });
+
+    // Store active connections
+    const clients = new Set();
+
+    // Conversation subscriptions per client (client -> Set of conversation IDs)
+    const subscriptions = new Map();
+
+    // Protocol-level pings to WebSocket clients (see start())
+    let heartbeatTimer = null;
+    let clientCounter = 0;
+
+    // In-memory flow data, one flow per conversation
+    const conversations = new Map();
+
+    // Suffix of comment and thread IDs
+    let commentCounter = 0;
+
+    // Recent mutations per conversation, for delta catch-up (conversation ID -> EventLog)
+    const eventLogs = new Map();
+
+    // Crash-safe storage per conversation (conversation ID -> FlowJournal)
+    const journals = new Map();
+
+    // Schema validation for incoming nodes and edges (validationMode: reject, repair or reid)
+    const schema = new FlowSchema({ mode: options.validationMode });
+
+    // Command execution with streamed output (executeTimeout 0 disables the timeout,
+    // claudeBin points claude runs at another executable, e.g. test/fixtures/claude-stub.js)
+    const runner = new CommandRunner({
+        timeout: options.executeTimeout,
+        claudeBin: options.claudeBin
+    });
 
-    clients.forEach(client => {
-        if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-            client.send(messageStr);
-            sentCount++;
-        }
+    // Structured output of running claude commands (run ID -> ClaudeStream)
+    const claudeStreams = new Map();
+
+    // What commands may run, where, with which environment and limits
+    const policy = ExecutionPolicy.fromFile(POLICY_FILE, { audit_log: 'audit/execution-audit.log' }, DATA_DIR);
+
+    // Terminal sessions keeping cwd and environment across commands (session ID -> ShellSession)
+    const sessions = new SessionManager({
+        cwd: policy.confineDirectory(options.sessionCwd || process.cwd()),
+        env: policy.scrubEnv(ENV),
+        shell: options.sessionShell
     });
 
-    return sentCount;
-}
+    // Live import of Claude Code session files (transcriptsDir, e.g. ~/.claude/projects)
+    const transcriptWatcher = options.transcriptsDir ? new TranscriptWatcher({
+        directory: options.transcriptsDir,
+        pollInterval: options.transcriptsPollInterval,
+        backfill: Boolean(options.transcriptsBackfill)
+    }) : null;
+
+    // Claude Code hook payloads -> nodes, pairing PreToolUse with PostToolUse
+    const hookMapper = new HookMapper();
+
+    // Responses of requests sent with an Idempotency-Key, so retries are not applied twice.
+    // Command output stays in memory: the file keeps how runs ended, not what they printed.
+    const idempotencyKeys = new IdempotencyStore({
+        file: path.join(DATA_DIR, 'idempotency-keys.jsonl'),
+        redact: (request, body) => request === 'POST /api/execute' ? redactRunOutput(body) : body
+    });
 
-/**
- * Send message to specific client
- */
-function sendToClient(client, message) {
-    if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(message));
-        return true;
+    // Who may read, edit and execute (viewer, editor, executor); no tokens means no authentication
+    const access = options.authFile
+        ? AccessControl.fromFile(options.authFile)
+        : new AccessControl(Array.isArray(options.authTokens)
+            ? options.authTokens
+            : AccessControl.parseTokenList(options.authTokens));
+
+    /**
+     * Initialize data directory
+     */
+    async function initDataDir() {
+        try {
+            await fs.mkdir(DATA_DIR, { recursive: true });
+            await fs.mkdir(CONVERSATIONS_DIR, { recursive: true });
+            console.log(`Data directory initialized: ${DATA_DIR}`);
+        } catch (error) {
+            console.error('Error creating data directory:', error);
+        }
     }
-    return false;
-}
 
-/**
- * Validate message structure
- */
-function validateMessage(message) {
-    if (!message || typeof message !== 'object') {
-        return { valid: false, error: 'Invalid message format' };
+    /**
+     * Create an empty flow for a conversation
+     */
+    function createEmptyFlow(conversationId) {
+        return {
+            conversation_id: conversationId,
+            created_at: new Date().toISOString(),
+            seq: 0,
+            nodes: [],
+            edges: [],
+            threads: []
+        };
     }
 
-    if (!message.type || !Object.values(MessageType).includes(message.type)) {
-        return { valid: false, error: 'Invalid message type' };
+    /**
+     * Check that a conversation ID is safe to use as a file name
+     */
+    function isValidConversationId(conversationId) {
+        return typeof conversationId === 'string' && /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/.test(conversationId);
     }
 
-    return { valid: true };
-}
+    /**
+     * Resolve the conversation ID of a request (falls back to the default conversation)
+     */
+    function resolveConversationId(conversationId) {
+        if (conversationId === undefined || conversationId === null || conversationId === '') {
+            return DEFAULT_CONVERSATION;
+        }
+        return isValidConversationId(conversationId) ? conversationId : null;
+    }
 
-/**
- * Handle incoming WebSocket messages
- */
-function handleMessage(client, message) {
-    try {
-        const data = JSON.parse(message);
-        const validation = validateMessage(data);
+    /**
+     * Get the file a conversation is persisted to.
+     * The default conversation keeps using data/flow.json for the polling fallback.
+     */
+    function getConversationFile(conversationId) {
+        if (conversationId === DEFAULT_CONVERSATION) {
+            return FLOW_FILE;
+        }
+        return path.join(CONVERSATIONS_DIR, `${conversationId}.json`);
+    }
 
-        if (!validation.valid) {
-            sendToClient(client, {
-                type: MessageType.ERROR,
-                error: validation.error
-            });
-            return;
+    /**
+     * Get the flow for a conversation, creating it if needed
+     */
+    function getConversation(conversationId) {
+        if (!conversations.has(conversationId)) {
+            conversations.set(conversationId, createEmptyFlow(conversationId));
         }
+        return conversations.get(conversationId);
+    }
+
+    /**
+     * Get the flow for a conversation to read it: an empty flow, not kept, if it does not exist
+     */
+    function findConversation(conversationId) {
+        return conversations.get(conversationId) || createEmptyFlow(conversationId);
+    }
 
-        switch (data.type) {
-            case MessageType.SUBSCRIBE:
-                // Client is subscribing (already added to clients set on connection)
-                console.log('Client subscribed');
-                break;
+    /**
+     * Get the event log of a conversation, continuing from its persisted sequence number
+     */
+    function getEventLog(conversationId) {
+        if (!eventLogs.has(conversationId)) {
+            const flowData = getConversation(conversationId);
+            eventLogs.set(conversationId, new EventLog(flowData.seq || 0, EVENT_LOG_SIZE));
+        }
+        return eventLogs.get(conversationId);
+    }
 
-            case MessageType.UNSUBSCRIBE:
-                // Client is unsubscribing
-                clients.delete(client);
-                console.log(`Client unsubscribed. Active clients: ${clients.size}`);
-                break;
+    /**
+     * Get the journal a conversation is persisted through
+     */
+    function getJournal(conversationId) {
+        if (!journals.has(conversationId)) {
+            journals.set(conversationId, new FlowJournal({
+                snapshotFile: getConversationFile(conversationId),
+                getSnapshot: () => getConversation(conversationId)
+            }));
+        }
+        return journals.get(conversationId);
+    }
 
-            case MessageType.REQUEST_STATE:
-                // Send current state to client
-                sendToClient(client, {
-                    type: MessageType.STATE,
-                    data: flowData,
-                    timestamp: new Date().toISOString()
-                });
-                console.log('Sent current state to client');
-                break;
+    /**
+     * Record a mutation event: assign it a sequence number, apply it to the
+     * in-memory flow and append it to the conversation's journal
+     * @returns {Object} - The event, ready to be broadcast
+     */
+    function recordEvent(conversationId, event) {
+        const entry = getEventLog(conversationId).append({
+            ...event,
+            timestamp: new Date().toISOString()
+        });
+        EventLog.apply(getConversation(conversationId), entry);
+        getJournal(conversationId).append(entry);
+        return entry;
+    }
 
-            case MessageType.NODE_UPDATE:
-                // Handle node update
-                if (data.nodes) {
-                    flowData.nodes.push(...data.nodes);
+    /**
+     * Clear a conversation's flow (the sequence keeps counting)
+     */
+    function clearConversation(conversationId) {
+        return recordEvent(conversationId, { type: MessageType.CLEAR });
+    }
 
-                    // Also handle edges if provided with nodes
-                    if (data.edges && Array.isArray(data.edges)) {
-                        flowData.edges.push(...data.edges);
-                    }
+    const getEdgeId = EventLog.getEdgeId;
 
-                    // Broadcast to ALL clients INCLUDING sender
-                    broadcast({
-                        type: MessageType.NODE_UPDATE,
-                        nodes: data.nodes,
-                        edges: data.edges || [],
-                        timestamp: new Date().toISOString()
-                    }); // Don't exclude sender!
-                    saveFlowData();
-                }
-                break;
-
-            case MessageType.EDGE_UPDATE:
-                // Handle edge update
-                if (data.edges) {
-                    flowData.edges.push(...data.edges);
-                    broadcast({
-                        type: MessageType.EDGE_UPDATE,
-                        edges: data.edges,
-                        timestamp: new Date().toISOString()
-                    }, client);
-                    saveFlowData();
-                }
-                break;
-
-            case MessageType.CLEAR:
-                // Clear flow data
-                flowData = {
-                    conversation_id: null,
-                    created_at: new Date().toISOString(),
-                    nodes: [],
-                    edges: []
-                };
-                broadcast({
-                    type: MessageType.CLEAR,
-                    timestamp: new Date().toISOString()
-                });
-                saveFlowData();
-                console.log('Flow data cleared');
-                break;
+    /**
+     * Merge changes into a node or edge. The ID is immutable and metadata is merged one level deep.
+     */
+    function applyChanges(item, changes) {
+        const { id, ...rest } = changes;
+        const updated = { ...item, ...rest };
 
-            case MessageType.PING:
-                // Respond to ping
-                sendToClient(client, {
-                    type: MessageType.PONG,
-                    timestamp: new Date().toISOString()
-                });
-                break;
+        if (rest.metadata && typeof rest.metadata === 'object' && item.metadata) {
+            updated.metadata = { ...item.metadata, ...rest.metadata };
+        }
+
+        return updated;
+    }
+
+    /**
+     * Validate and add nodes (and edges) to a conversation
+     * @param {string} mode - Validation mode override (reject, repair, reid)
+     * @returns {Object} - { event, validation }; event is null when nothing was added
+     */
+    function addNodes(conversationId, nodes, edges, mode) {
+        const validation = schema.validateBatch(findConversation(conversationId), nodes, edges || [], { mode });
+
+        if (!validation.valid || validation.nodes.length + validation.edges.length === 0) {
+            return { event: null, validation };
+        }
+
+        const event = recordEvent(conversationId, {
+            type: MessageType.NODE_UPDATE,
+            nodes: validation.nodes,
+            edges: validation.edges
+        });
 
-            default:
-                console.log(`Unknown message type: ${data.type}`);
+        return { event, validation };
+    }
+
+    /**
+     * Validate and add edges to a conversation
+     * @returns {Object} - { event, validation }; event is null when nothing was added
+     */
+    function addEdges(conversationId, edges, mode) {
+        const validation = schema.validateBatch(findConversation(conversationId), [], edges, { mode });
+
+        if (!validation.valid || validation.edges.length === 0) {
+            return { event: null, validation };
         }
-    } catch (error) {
-        console.error('Error handling message:', error);
-        sendToClient(client, {
-            type: MessageType.ERROR,
-            error: 'Failed to process message'
+
+        const event = recordEvent(conversationId, {
+            type: MessageType.EDGE_UPDATE,
+            edges: validation.edges
         });
+
+        return { event, validation };
     }
-}
 
-/**
- * WebSocket connection handler
- */
-wss.on('connection', (ws, req) => {
-    const clientIp = req.socket.remoteAddress;
-    console.log(`New WebSocket connection from ${clientIp}`);
+    /**
+     * Validate the result of a patch before it is applied
+     * @param {string} kind - 'node' or 'edge'
+     * @returns {Array} - Issues, empty if the patch is valid (or the item does not exist)
+     */
+    function validatePatch(conversationId, kind, id, changes) {
+        const flowData = findConversation(conversationId);
+
+        if (kind === 'node') {
+            const node = flowData.nodes.find(item => item.id === id);
+            return node ? schema.validatePatchedNode(applyChanges(node, changes), changes) : [];
+        }
 
-    // Add to clients set
-    clients.add(ws);
-    console.log(`Active clients: ${clients.size}`);
+        const edge = flowData.edges.find(item => getEdgeId(item) === id);
+        return edge ? schema.validatePatchedEdge(flowData, applyChanges(edge, changes), changes) : [];
+    }
 
-    // Send current state to new client
-    sendToClient(ws, {
-        type: MessageType.STATE,
-        data: flowData,
-        timestamp: new Date().toISOString()
-    });
+    /**
+     * Patch a node in a conversation
+     * @returns {Object|null} - The recorded event, or null if the node does not exist
+     */
+    function patchNode(conversationId, nodeId, changes) {
+        const node = findConversation(conversationId).nodes.find(item => item.id === nodeId);
 
-    // Handle messages
-    ws.on('message', (message) => {
-        handleMessage(ws, message);
-    });
+        if (!node) {
+            return null;
+        }
 
-    // Handle client disconnect
-    ws.on('close', () => {
-        clients.delete(ws);
-        console.log(`Client disconnected. Active clients: ${clients.size}`);
-    });
+        return recordEvent(conversationId, {
+            type: MessageType.NODE_PATCH,
+            id: nodeId,
+            changes,
+            node: applyChanges(node, changes)
+        });
+    }
 
-    // Handle errors
-    ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
-        clients.delete(ws);
-    });
+    /**
+     * Delete a node and every edge connected to it
+     * @returns {Object|null} - The recorded event, or null if the node does not exist
+     */
+    function deleteNode(conversationId, nodeId) {
+        const flowData = findConversation(conversationId);
 
-    // Send ping every 30 seconds to keep connection alive
-    const pingInterval = setInterval(() => {
-        if (ws.readyState === WebSocket.OPEN) {
-            sendToClient(ws, {
-                type: MessageType.PING,
-                timestamp: new Date().toISOString()
-            });
-        } else {
-            clearInterval(pingInterval);
+        if (!flowData.nodes.some(node => node.id === nodeId)) {
+            return null;
         }
-    }, 30000);
-});
 
-/**
- * Serve static files
- */
-app.use(express.static(__dirname));
+        const danglingEdges = flowData.edges.filter(edge => edge.from === nodeId || edge.to === nodeId);
 
-/**
- * API endpoint to add nodes (for Claude Code bridge)
- */
-app.use(express.json());
+        return recordEvent(conversationId, {
+            type: MessageType.NODE_DELETE,
+            id: nodeId,
+            edge_ids: danglingEdges.map(getEdgeId)
+        });
+    }
 
-app.post('/api/nodes', async (req, res) => {
-    try {
-        const { nodes, edges } = req.body;
+    /**
+     * Patch an edge in a conversation
+     * @returns {Object|null} - The recorded event, or null if the edge does not exist
+     */
+    function patchEdge(conversationId, edgeId, changes) {
+        const edge = findConversation(conversationId).edges.find(item => getEdgeId(item) === edgeId);
 
-        if (!nodes || !Array.isArray(nodes)) {
-            return res.status(400).json({ error: 'Invalid nodes data' });
+        if (!edge) {
+            return null;
         }
 
-        // Add nodes to flow data
-        flowData.nodes.push(...nodes);
+        return recordEvent(conversationId, {
+            type: MessageType.EDGE_PATCH,
+            id: edgeId,
+            changes,
+            edge: applyChanges(edge, changes)
+        });
+    }
 
-        // Add edges if provided
-        if (edges && Array.isArray(edges)) {
-            flowData.edges.push(...edges);
+    /**
+     * Delete an edge from a conversation
+     * @returns {Object|null} - The recorded event, or null if the edge does not exist
+     */
+    function deleteEdge(conversationId, edgeId) {
+        if (!findConversation(conversationId).edges.some(edge => getEdgeId(edge) === edgeId)) {
+            return null;
         }
 
-        // Broadcast to all clients
-        const sentCount = broadcast({
-            type: MessageType.NODE_UPDATE,
-            nodes: nodes,
-            edges: edges || [],
-            timestamp: new Date().toISOString()
+        return recordEvent(conversationId, {
+            type: MessageType.EDGE_DELETE,
+            id: edgeId
         });
+    }
 
-        // Save to file
-        await saveFlowData();
+    /**
+     * Get a comment thread of a conversation
+     */
+    function getThread(conversationId, threadId) {
+        return (findConversation(conversationId).threads || []).find(thread => thread.id === threadId) || null;
+    }
 
-        res.json({
-            success: true,
-            nodes_added: nodes.length,
-            edges_added: edges ? edges.length : 0,
-            clients_notified: sentCount
+    /**
+     * Check a new comment: non-empty text, and an existing thread to reply to or node to start one on
+     * @returns {Object} - { valid, error, status }
+     */
+    function validateComment(conversationId, { threadId, nodeId, text }) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return { valid: false, error: 'Comment text is required', status: 400 };
+        }
+        if (text.length > MAX_COMMENT_LENGTH) {
+            return { valid: false, error: `Comment too long (max ${MAX_COMMENT_LENGTH} characters)`, status: 400 };
+        }
+
+        if (threadId !== undefined && threadId !== null) {
+            if (!getThread(conversationId, threadId)) {
+                return { valid: false, error: `Thread not found: ${threadId}`, status: 404 };
+            }
+        } else if (!findConversation(conversationId).nodes.some(node => node.id === nodeId)) {
+            return { valid: false, error: `Node not found: ${nodeId}`, status: 404 };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Name comments are signed with: the token's name when authentication is on,
+     * otherwise the name the client gave (falling back to its connection's name)
+     */
+    function getCommentAuthor(identity, requested) {
+        if (access.enabled || typeof requested !== 'string' || !requested.trim()) {
+            return identity ? identity.name : 'anonymous';
+        }
+        return requested.trim().slice(0, 100);
+    }
+
+    /**
+     * Add a comment, replying to a thread or starting a new one on a node (check it with validateComment first)
+     * @returns {Object} - The recorded event
+     */
+    function addComment(conversationId, { threadId, nodeId, text, author }) {
+        const thread = threadId ? getThread(conversationId, threadId) : null;
+
+        return recordEvent(conversationId, {
+            type: MessageType.COMMENT_ADD,
+            thread_id: thread ? thread.id : `thread-${Date.now()}-${++commentCounter}`,
+            node_id: thread ? thread.node_id : nodeId,
+            comment: {
+                id: `comment-${Date.now()}-${++commentCounter}`,
+                author,
+                text,
+                created_at: new Date().toISOString()
+            }
         });
-    } catch (error) {
-        console.error('Error adding nodes:', error);
-        res.status(500).json({ error: 'Failed to add nodes' });
     }
-});
 
-/**
- * API endpoint to clear flow data
- */
-app.post('/api/clear', async (req, res) => {
-    try {
-        flowData = {
-            conversation_id: null,
-            created_at: new Date().toISOString(),
-            nodes: [],
-            edges: []
-        };
+    /**
+     * Resolve or reopen a thread
+     * @returns {Object|null} - The recorded event, or null if the thread does not exist
+     */
+    function resolveThread(conversationId, threadId, resolved, resolvedBy) {
+        if (!getThread(conversationId, threadId)) {
+            return null;
+        }
 
-        broadcast({
-            type: MessageType.CLEAR,
-            timestamp: new Date().toISOString()
+        return recordEvent(conversationId, {
+            type: MessageType.THREAD_RESOLVE,
+            thread_id: threadId,
+            resolved: Boolean(resolved),
+            resolved_by: resolved ? resolvedBy : null
         });
+    }
+
+    /**
+     * Delete a comment (a thread goes away with its last comment)
+     * @returns {Object|null} - The recorded event, or null if the comment does not exist
+     */
+    function deleteComment(conversationId, threadId, commentId) {
+        const thread = getThread(conversationId, threadId);
 
-        await saveFlowData();
+        if (!thread || !thread.comments.some(comment => comment.id === commentId)) {
+            return null;
+        }
 
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error clearing flow data:', error);
-        res.status(500).json({ error: 'Failed to clear flow data' });
+        return recordEvent(conversationId, {
+            type: MessageType.COMMENT_DELETE,
+            thread_id: threadId,
+            id: commentId
+        });
     }
-});
 
-/**
- * API endpoint to get current state
- */
-app.get('/api/state', (req, res) => {
-    res.json({
-        flow_data: flowData,
-        clients_connected: clients.size,
-        timestamp: new Date().toISOString()
-    });
-});
+    /**
+     * Load a conversation from its snapshot and journal
+     */
+    async function loadConversation(conversationId) {
+        try {
+            const flowData = await getJournal(conversationId).load(createEmptyFlow(conversationId));
 
-/**
- * Health check endpoint
- */
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        uptime: process.uptime(),
-        clients: clients.size,
-        nodes: flowData.nodes.length,
-        edges: flowData.edges.length
-    });
-});
+            if (!flowData) {
+                console.log(`No existing flow data found for "${conversationId}", starting fresh`);
+                return;
+            }
 
-/**
- * Command execution endpoint
- */
-app.post('/api/execute', async (req, res) => {
-    try {
-        const { command, type = 'shell' } = req.body;
+            flowData.conversation_id = conversationId;
+            flowData.threads = flowData.threads || []; // Snapshots from before comments
+            conversations.set(conversationId, flowData);
+            console.log(`Loaded conversation "${conversationId}": ${flowData.nodes.length} nodes, ${flowData.edges.length} edges`);
+        } catch (error) {
+            console.error(`Error loading flow data for "${conversationId}":`, error);
+        }
+    }
+
+    /**
+     * Load existing flow data from files
+     */
+    async function loadFlowData() {
+        await loadConversation(DEFAULT_CONVERSATION);
+
+        try {
+            // A conversation may only have a journal if the server stopped before its first snapshot
+            const conversationIds = new Set();
+            const files = await fs.readdir(CONVERSATIONS_DIR);
+            files.forEach(file => {
+                const match = file.match(/^(.+?)(\.log\.jsonl|\.json)$/);
+                if (match && isValidConversationId(match[1])) {
+                    conversationIds.add(match[1]);
+                }
+            });
+
+            for (const conversationId of conversationIds) {
+                await loadConversation(conversationId);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading conversations:', error);
+            }
+        }
 
-        if (!command || typeof command !== 'string') {
-            return res.status(400).json({ error: 'Invalid command' });
+        getConversation(DEFAULT_CONVERSATION);
+    }
+
+    /**
+     * Wait until a conversation's pending journal writes are on disk
+     */
+    function flushFlowData(conversationId = DEFAULT_CONVERSATION) {
+        return getJournal(conversationId).flush();
+    }
+
+    /**
+     * Subscribe a client to a conversation
+     */
+    function subscribe(client, conversationId) {
+        if (!subscriptions.has(client)) {
+            subscriptions.set(client, new Set());
+        }
+        subscriptions.get(client).add(conversationId);
+    }
+
+    /**
+     * Unsubscribe a client from a conversation
+     */
+    function unsubscribe(client, conversationId) {
+        const subscribed = subscriptions.get(client);
+        if (subscribed) {
+            subscribed.delete(conversationId);
+        }
+        if (client.cursors) {
+            client.cursors.delete(conversationId);
         }
+    }
 
-        console.log(`Executing ${type} command: ${command}`);
+    /**
+     * Check whether a client receives updates for a conversation
+     */
+    function isSubscribed(client, conversationId) {
+        const subscribed = subscriptions.get(client);
+        return Boolean(subscribed && subscribed.has(conversationId));
+    }
 
-        let output = '';
-        let error = null;
+    /**
+     * Broadcast message to all clients subscribed to a conversation
+     */
+    function broadcast(conversationId, message, excludeClient = null) {
+        const messageStr = JSON.stringify({ ...message, conversation_id: conversationId });
+        let sentCount = 0;
 
-        if (type === 'shell') {
-            try {
-                // Execute shell command
-                const { stdout, stderr } = await execPromise(command, {
-                    timeout: 30000, // 30 second timeout
-                    maxBuffer: 1024 * 1024 // 1MB buffer
-                });
+        const droppable = DroppableTypes.has(message.type);
 
-                output = stdout || stderr || 'Command executed successfully';
-            } catch (execError) {
-                // Command failed but we still want to return the output
-                output = execError.stdout || execError.stderr || execError.message;
-                error = execError.message;
+        clients.forEach(client => {
+            if (client !== excludeClient &&
+                isSubscribed(client, conversationId) &&
+                client.sendQueue.send(messageStr, droppable)) {
+                sentCount++;
             }
-        } else if (type === 'claude') {
-            // Integrate with Claude Code CLI
-            try {
-                const { spawn } = require('child_process');
+        });
 
-                // Spawn Claude Code with the command as input
-                const claude = spawn('claude', [], {
-                    timeout: 60000 // 60 second timeout for Claude
-                });
+        // In-process listeners (flowServer.on('node_update', ...))
+        if (flowServer.listenerCount(message.type) > 0) {
+            flowServer.emit(message.type, { ...message, conversation_id: conversationId });
+        }
+
+        return sentCount;
+    }
 
-                // Send the user's input to Claude
-                claude.stdin.write(command + '\n');
-                claude.stdin.end();
+    /**
+     * Send message to specific client
+     */
+    function sendToClient(client, message) {
+        return client.sendQueue.send(JSON.stringify(message), DroppableTypes.has(message.type));
+    }
 
-                // Capture output
-                let stdout = '';
-                let stderr = '';
+    /**
+     * Send the full state of a conversation to a client
+     * @param {Object} [extra] - Additional message fields (e.g. resync)
+     */
+    function sendState(client, conversationId, extra = {}) {
+        const flowData = findConversation(conversationId);
+
+        return sendToClient(client, {
+            type: MessageType.STATE,
+            conversation_id: conversationId,
+            seq: flowData.seq || 0,
+            data: flowData,
+            client_id: client.clientId, // Lets the client find itself in presence lists
+            ...extra,
+            timestamp: new Date().toISOString()
+        });
+    }
 
-                claude.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                });
+    /**
+     * Set up a new WebSocket or event stream client and add it to the clients
+     * @param {Object} info - { transport, identity, name } (name from ?name=, else the token's name)
+     */
+    function addClient(client, info) {
+        const requestedName = typeof info.name === 'string' ? info.name.trim().slice(0, 64) : '';
+
+        client.clientId = `client-${Date.now()}-${++clientCounter}`;
+        client.transport = info.transport;
+        client.identity = info.identity;
+        client.name = requestedName || (access.enabled ? info.identity.name : client.clientId);
+        client.color = CLIENT_COLORS[(clientCounter - 1) % CLIENT_COLORS.length];
+        client.cursors = new Map(); // conversation ID -> last cursor message (never persisted)
+        client.connectedAt = Date.now();
+        client.lastActive = client.connectedAt;
+        client.sendQueue = new SendQueue(client, {
+            highWaterMark: SEND_HIGH_WATER_MARK,
+            onResync: dropped => resyncClient(client, dropped)
+        });
 
-                claude.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
+        clients.add(client);
+        console.log(`Active clients: ${clients.size}`);
+    }
 
-                // Wait for completion
-                await new Promise((resolve, reject) => {
-                    claude.on('close', (code) => {
-                        if (code === 0 || stdout.length > 0) {
-                            resolve();
-                        } else {
-                            reject(new Error(`Claude exited with code ${code}`));
-                        }
-                    });
+    /**
+     * Remove a disconnected client and tell the others in its conversations
+     */
+    function removeClient(client) {
+        const subscribed = Array.from(subscriptions.get(client) || []);
+        clients.delete(client);
+        subscriptions.delete(client);
+        if (client.sendQueue) {
+            client.sendQueue.clear();
+        }
+        subscribed.forEach(conversationId => broadcastPresence(conversationId));
+    }
 
-                    claude.on('error', (err) => {
-                        reject(err);
+    /**
+     * Catch up a client whose messages were dropped because it fell behind:
+     * a state snapshot per conversation, the output so far of running commands,
+     * and the presence list and cursors
+     */
+    function resyncClient(client, dropped) {
+        console.log(`Client ${client.name} fell behind (${dropped} message(s) dropped), resending state`);
+
+        (subscriptions.get(client) || new Set()).forEach(conversationId => {
+            sendState(client, conversationId, { resync: true });
+
+            runner.runs.forEach(run => {
+                if (run.status === 'running' && run.type !== 'claude' && run.context.conversation_id === conversationId) {
+                    sendToClient(client, {
+                        type: MessageType.RUN_OUTPUT,
+                        conversation_id: conversationId,
+                        run_id: run.id,
+                        node_id: run.context.node_id || null,
+                        stream: 'stdout',
+                        data: run.output,
+                        resync: true
                     });
+                }
+            });
 
-                    // Timeout handling
-                    setTimeout(() => {
-                        claude.kill();
-                        reject(new Error('Claude Code timeout (60s)'));
-                    }, 60000);
-                });
+            sendToClient(client, getPresence(conversationId));
+            sendCursors(client, conversationId);
+        });
+    }
 
-                output = stdout.trim() || stderr.trim() || 'No response from Claude Code';
+    /**
+     * Presence message of a conversation: its connected clients with names and idle times
+     */
+    function getPresence(conversationId) {
+        const now = Date.now();
+        const members = Array.from(clients)
+            .filter(client => isSubscribed(client, conversationId))
+            .map(client => ({
+                client_id: client.clientId,
+                name: client.name,
+                role: client.identity.role,
+                color: client.color,
+                transport: client.transport,
+                connected_at: new Date(client.connectedAt).toISOString(),
+                last_active_at: new Date(client.lastActive).toISOString(),
+                idle_ms: now - client.lastActive
+            }));
+
+        return {
+            type: MessageType.PRESENCE,
+            conversation_id: conversationId,
+            clients: members,
+            timestamp: new Date(now).toISOString()
+        };
+    }
 
-            } catch (claudeError) {
-                output = `Claude Code error: ${claudeError.message}`;
-                error = claudeError.message;
-            }
-        } else {
-            return res.status(400).json({ error: 'Invalid command type. Use "shell" or "claude"' });
+    /**
+     * Check the ephemeral fields of a cursor message
+     * @returns {Object} - { valid, error, cursor }; cursor holds viewport, cursor and selection
+     */
+    function validateCursor(data) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const { viewport = null, cursor = null, selection = [] } = data;
+
+        if (viewport !== null && !(typeof viewport === 'object' &&
+            ['pan_x', 'pan_y', 'zoom', 'width', 'height'].every(key => isNumber(viewport[key])) && viewport.zoom > 0)) {
+            return { valid: false, error: 'Invalid cursor: viewport needs numeric pan_x, pan_y, zoom, width and height' };
+        }
+        if (cursor !== null && !(typeof cursor === 'object' && isNumber(cursor.x) && isNumber(cursor.y))) {
+            return { valid: false, error: 'Invalid cursor: cursor needs numeric x and y (or null)' };
+        }
+        if (!Array.isArray(selection) || selection.length > MAX_SELECTION ||
+            !selection.every(id => typeof id === 'string' && id.length <= 256)) {
+            return { valid: false, error: `Invalid cursor: selection must be up to ${MAX_SELECTION} node IDs` };
         }
 
-        res.json({
-            success: !error,
-            output: output.trim(),
-            error: error,
-            command: command,
-            type: type,
+        return {
+            valid: true,
+            cursor: {
+                viewport: viewport && {
+                    pan_x: viewport.pan_x,
+                    pan_y: viewport.pan_y,
+                    zoom: viewport.zoom,
+                    width: viewport.width,
+                    height: viewport.height
+                },
+                cursor: cursor && { x: cursor.x, y: cursor.y },
+                selection
+            }
+        };
+    }
+
+    /**
+     * Cursor message of a client, as relayed to the others
+     */
+    function getCursorMessage(client, conversationId, cursor) {
+        return {
+            type: MessageType.CURSOR,
+            conversation_id: conversationId,
+            client_id: client.clientId,
+            name: client.name,
+            color: client.color,
+            ...cursor,
             timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Send a client joining a conversation the last cursor of everyone else in it
+     */
+    function sendCursors(client, conversationId) {
+        clients.forEach(other => {
+            if (other !== client && other.cursors && other.cursors.has(conversationId)) {
+                sendToClient(client, getCursorMessage(other, conversationId, other.cursors.get(conversationId)));
+            }
         });
+    }
+
+    /**
+     * Send the presence list of a conversation to its subscribers
+     */
+    function broadcastPresence(conversationId) {
+        return broadcast(conversationId, getPresence(conversationId));
+    }
 
-    } catch (error) {
-        console.error('Error executing command:', error);
-        res.status(500).json({
-            error: 'Failed to execute command',
-            message: error.message
+    /**
+     * Ping every WebSocket client; those that did not answer the previous ping are dropped.
+     * Presence lists are refreshed at the same time, so idle times stay current.
+     */
+    function heartbeat() {
+        wss.clients.forEach(ws => {
+            if (ws.isAlive === false) {
+                console.log(`Client ${ws.name || ws.clientIp} stopped answering pings, disconnecting`);
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
         });
+
+        const active = new Set();
+        subscriptions.forEach(subscribed => subscribed.forEach(conversationId => active.add(conversationId)));
+        active.forEach(conversationId => broadcastPresence(conversationId));
     }
-});
 
-/**
- * Start server
- */
-async function start() {
-    console.log('Claude Flow WebSocket Server');
-    console.log('============================');
-
-    // Initialize
-    await initDataDir();
-    await loadFlowData();
-
-    // Start server
-    server.listen(PORT, () => {
-        console.log(`\nServer running on http://localhost:${PORT}`);
-        console.log(`WebSocket endpoint: ws://localhost:${PORT}`);
-        console.log(`\nAPI Endpoints:`);
-        console.log(`  POST /api/nodes   - Add nodes`);
-        console.log(`  POST /api/clear   - Clear flow data`);
-        console.log(`  POST /api/execute - Execute commands`);
-        console.log(`  GET  /api/state   - Get current state`);
-        console.log(`  GET  /api/health  - Health check`);
-        console.log(`\nPress Ctrl+C to stop`);
-    });
-}
+    /**
+     * Send the events a client missed since a sequence number.
+     * Falls back to a full snapshot when the event log no longer reaches back that far.
+     */
+    function sendCatchUp(client, conversationId, since) {
+        // Conversations that do not exist yet get a throwaway log at sequence 0
+        const eventLog = conversations.has(conversationId) ? getEventLog(conversationId) : new EventLog(0, EVENT_LOG_SIZE);
+        const events = eventLog.since(since);
+
+        if (events === null) {
+            return sendState(client, conversationId);
+        }
 
-/**
- * Graceful shutdown
- */
-process.on('SIGINT', async () => {
-    console.log('\nShutting down gracefully...');
+        return sendToClient(client, {
+            type: MessageType.DELTA,
+            conversation_id: conversationId,
+            client_id: client.clientId,
+            since,
+            seq: eventLog.seq,
+            events,
+            timestamp: new Date().toISOString()
+        });
+    }
 
-    // Save data
-    await saveFlowData();
+    /**
+     * Report validation problems back to the client that sent a batch
+     */
+    function reportValidation(client, validation) {
+        if (!validation.valid) {
+            return sendToClient(client, {
+                type: MessageType.ERROR,
+                error: 'Validation failed',
+                mode: validation.mode,
+                issues: validation.issues
+            });
+        }
 
-    // Close all client connections
-    clients.forEach(client => {
-        client.close();
-    });
+        if (validation.issues.length > 0) {
+            return sendToClient(client, {
+                type: MessageType.VALIDATION_REPORT,
+                mode: validation.mode,
+                issues: validation.issues,
+                id_map: validation.id_map
+            });
+        }
 
-    // Close server
-    server.close(() => {
-        console.log('Server stopped');
-        process.exit(0);
-    });
-});
+        return false;
+    }
+
+    /**
+     * Parse a `since` sequence number (message field or query parameter)
+     */
+    function parseSince(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const since = Number(value);
+        return Number.isInteger(since) && since >= 0 ? since : null;
+    }
+
+    /**
+     * Validate message structure
+     */
+    function validateMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return { valid: false, error: 'Invalid message format' };
+        }
+
+        if (!message.type || !Object.values(MessageType).includes(message.type)) {
+            return { valid: false, error: 'Invalid message type' };
+        }
+
+        if (resolveConversationId(message.conversation_id) === null) {
+            return { valid: false, error: 'Invalid conversation ID' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Handle incoming WebSocket messages
+     */
+    function handleMessage(client, message) {
+        try {
+            const data = JSON.parse(message);
+            const validation = validateMessage(data);
+
+            if (!validation.valid) {
+                sendToClient(client, {
+                    type: MessageType.ERROR,
+                    error: validation.error
+                });
+                return;
+            }
+
+            const role = MessageRoles[data.type] || 'executor';
+            if (!AccessControl.hasRole(client.identity.role, role)) {
+                sendToClient(client, {
+                    type: MessageType.ERROR,
+                    error: `Forbidden: ${data.type} needs the ${role} role`,
+                    run_id: data.run_id
+                });
+                return;
+            }
+
+            // Anything but keep-alive traffic counts as activity in presence lists
+            if (data.type !== MessageType.PING && data.type !== MessageType.PONG) {
+                client.lastActive = Date.now();
+            }
+
+            const conversationId = resolveConversationId(data.conversation_id);
+
+            switch (data.type) {
+                case MessageType.SUBSCRIBE:
+                    // Subscribe to a conversation and send its current state
+                    subscribe(client, conversationId);
+                    sendState(client, conversationId);
+                    broadcastPresence(conversationId);
+                    sendCursors(client, conversationId);
+                    console.log(`Client subscribed to "${conversationId}"`);
+                    break;
+
+                case MessageType.UNSUBSCRIBE:
+                    // Unsubscribe from a conversation, or from everything if none given
+                    if (data.conversation_id) {
+                        unsubscribe(client, conversationId);
+                        broadcastPresence(conversationId);
+                        console.log(`Client unsubscribed from "${conversationId}"`);
+                    } else {
+                        removeClient(client);
+                        console.log(`Client unsubscribed. Active clients: ${clients.size}`);
+                    }
+                    break;
+
+                case MessageType.PRESENCE:
+                    // Who else follows the conversation
+                    sendToClient(client, getPresence(conversationId));
+                    break;
+
+                case MessageType.CURSOR: {
+                    // Viewport, pointer and selection: relayed to the others, kept only in memory
+                    const cursor = validateCursor(data);
+                    if (!cursor.valid) {
+                        sendToClient(client, { type: MessageType.ERROR, error: cursor.error });
+                        break;
+                    }
+                    if (!isSubscribed(client, conversationId)) {
+                        sendToClient(client, { type: MessageType.ERROR, error: `Not subscribed to "${conversationId}"` });
+                        break;
+                    }
+
+                    client.cursors.set(conversationId, cursor.cursor);
+                    broadcast(conversationId, getCursorMessage(client, conversationId, cursor.cursor), client);
+                    break;
+                }
+
+                case MessageType.REQUEST_STATE: {
+                    // Send missed events since a sequence number, or the full state
+                    const since = parseSince(data.since);
+                    if (since !== null) {
+                        sendCatchUp(client, conversationId, since);
+                        console.log(`Sent catch-up of "${conversationId}" since ${since} to client`);
+                    } else {
+                        sendState(client, conversationId);
+                        console.log(`Sent current state of "${conversationId}" to client`);
+                    }
+                    break;
+                }
+
+                case MessageType.NODE_UPDATE: {
+                    // Handle node update (edges may be provided with nodes)
+                    if (!Array.isArray(data.nodes)) {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            error: 'Invalid nodes data'
+                        });
+                        break;
+                    }
+
+                    const { event, validation } = addNodes(
+                        conversationId,
+                        data.nodes,
+                        Array.isArray(data.edges) ? data.edges : [],
+                        data.validation
+                    );
+                    reportValidation(client, validation);
+
+                    if (event) {
+                        // Broadcast to ALL clients INCLUDING sender
+                        broadcast(conversationId, event); // Don't exclude sender!
+                    }
+                    break;
+                }
+
+                case MessageType.EDGE_UPDATE: {
+                    // Handle edge update
+                    if (!Array.isArray(data.edges)) {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            error: 'Invalid edges data'
+                        });
+                        break;
+                    }
+
+                    const { event, validation } = addEdges(conversationId, data.edges, data.validation);
+                    reportValidation(client, validation);
+
+                    if (event) {
+                        broadcast(conversationId, event, client);
+                    }
+                    break;
+                }
+
+                case MessageType.NODE_PATCH:
+                case MessageType.EDGE_PATCH:
+                case MessageType.NODE_DELETE:
+                case MessageType.EDGE_DELETE: {
+                    // Update or remove an existing node/edge
+                    if (typeof data.id !== 'string') {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            error: `Missing ${data.type.split('_')[0]} id`
+                        });
+                        break;
+                    }
+
+                    const isPatch = data.type === MessageType.NODE_PATCH || data.type === MessageType.EDGE_PATCH;
+                    if (isPatch && (!data.changes || typeof data.changes !== 'object')) {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            error: 'Invalid changes'
+                        });
+                        break;
+                    }
+
+                    if (isPatch) {
+                        const issues = validatePatch(conversationId, data.type.split('_')[0], data.id, data.changes);
+                        if (issues.length > 0) {
+                            sendToClient(client, {
+                                type: MessageType.ERROR,
+                                error: 'Validation failed',
+                                issues
+                            });
+                            break;
+                        }
+                    }
+
+                    let event;
+                    if (data.type === MessageType.NODE_PATCH) {
+                        event = patchNode(conversationId, data.id, data.changes);
+                    } else if (data.type === MessageType.EDGE_PATCH) {
+                        event = patchEdge(conversationId, data.id, data.changes);
+                    } else if (data.type === MessageType.NODE_DELETE) {
+                        event = deleteNode(conversationId, data.id);
+                    } else {
+                        event = deleteEdge(conversationId, data.id);
+                    }
+
+                    if (!event) {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            error: `${data.type.startsWith('node') ? 'Node' : 'Edge'} not found: ${data.id}`
+                        });
+                        break;
+                    }
+
+                    broadcast(conversationId, event);
+                    break;
+                }
+
+                case MessageType.COMMENT_ADD: {
+                    // Reply to a thread (thread_id) or start one on a node (node_id)
+                    const comment = { threadId: data.thread_id, nodeId: data.node_id, text: data.text };
+                    const check = validateComment(conversationId, comment);
+                    if (!check.valid) {
+                        sendToClient(client, { type: MessageType.ERROR, error: check.error });
+                        break;
+                    }
+
+                    const event = addComment(conversationId, {
+                        ...comment,
+                        author: getCommentAuthor(client.identity, data.author || client.name)
+                    });
+                    broadcast(conversationId, event);
+                    break;
+                }
+
+                case MessageType.THREAD_RESOLVE:
+                case MessageType.COMMENT_DELETE: {
+                    // Resolve/reopen a thread, or delete one of its comments
+                    const event = data.type === MessageType.THREAD_RESOLVE
+                        ? resolveThread(conversationId, data.thread_id, data.resolved !== false, getCommentAuthor(client.identity, client.name))
+                        : deleteComment(conversationId, data.thread_id, data.id);
+
+                    if (!event) {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            error: data.type === MessageType.THREAD_RESOLVE
+                                ? `Thread not found: ${data.thread_id}`
+                                : `Comment not found: ${data.id}`
+                        });
+                        break;
+                    }
+
+                    broadcast(conversationId, event);
+                    break;
+                }
+
+                case MessageType.EXECUTE: {
+                    // Run a command and stream its output as run_* events
+                    const commandType = data.command_type || 'shell';
+
+                    if (!data.command || typeof data.command !== 'string') {
+                        sendToClient(client, { type: MessageType.ERROR, error: 'Invalid command' });
+                        break;
+                    }
+
+                    if (commandType !== 'shell' && commandType !== 'claude') {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            error: 'Invalid command type. Use "shell" or "claude"'
+                        });
+                        break;
+                    }
+
+                    if (data.run_id !== undefined && !runner.isValidRunId(data.run_id)) {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            run_id: data.run_id,
+                            error: 'Invalid or duplicate run ID'
+                        });
+                        break;
+                    }
+
+                    if (data.session_id !== undefined && !SessionManager.isValidSessionId(data.session_id)) {
+                        sendToClient(client, {
+                            type: MessageType.ERROR,
+                            run_id: data.run_id,
+                            error: 'Invalid session ID'
+                        });
+                        break;
+                    }
+
+                    startRun({
+                        command: data.command,
+                        type: commandType,
+                        runId: data.run_id,
+                        conversationId,
+                        nodeId: data.node_id,
+                        sessionId: data.session_id
+                    }, { via: 'websocket', address: client.clientIp || null });
+                    break;
+                }
+
+                case MessageType.SIGNAL: {
+                    // Signal a running command (Ctrl+C sends SIGINT); it exits with status 'cancelled'
+                    // Errors carry no run_id, so the client does not fail a run that is still going
+                    const signal = data.signal || 'SIGINT';
+                    const run = runner.get(data.run_id);
+
+                    if (!CommandRunner.isValidSignal(signal)) {
+                        sendToClient(client, { type: MessageType.ERROR, error: `Invalid signal: ${signal}` });
+                        break;
+                    }
+
+                    if (!run) {
+                        sendToClient(client, { type: MessageType.ERROR, error: `Run not found: ${data.run_id}` });
+                        break;
+                    }
+
+                    runner.signal(run.id, signal);
+                    policy.audit({ event: 'signal', run_id: run.id, signal, via: 'websocket', address: client.clientIp || null });
+                    console.log(`Sent ${signal} to run ${run.id}`);
+                    break;
+                }
+
+                case MessageType.CLEAR:
+                    // Clear flow data
+                    broadcast(conversationId, clearConversation(conversationId));
+                    console.log(`Flow data cleared for "${conversationId}"`);
+                    break;
+
+                case MessageType.PING:
+                    // Respond to ping
+                    sendToClient(client, {
+                        type: MessageType.PONG,
+                        timestamp: new Date().toISOString()
+                    });
+                    break;
+
+                default:
+                    console.log(`Unknown message type: ${data.type}`);
+            }
+        } catch (error) {
+            console.error('Error handling message:', error);
+            sendToClient(client, {
+                type: MessageType.ERROR,
+                error: 'Failed to process message'
+            });
+        }
+    }
+
+    /**
+     * WebSocket connection handler
+     */
+    wss.on('connection', (ws, req) => {
+        const clientIp = req.socket.remoteAddress;
+        console.log(`New WebSocket connection from ${clientIp}`);
+        ws.clientIp = clientIp;
+
+        // Token from the Authorization header, or ?token=<token> (browsers cannot set headers)
+        const identity = access.authenticate(AccessControl.getRequestToken(req));
+        if (!identity) {
+            console.log(`Refused WebSocket connection from ${clientIp}: no valid token`);
+            ws.close(4401, 'Unauthorized');
+            return;
+        }
+
+        // Add to clients set (?name=<name> is shown in presence lists)
+        const requestUrl = new URL(req.url, 'http://localhost');
+        addClient(ws, { transport: 'websocket', identity, name: requestUrl.searchParams.get('name') });
+
+        // Answered pings keep the connection (see heartbeat)
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        // Subscribe to the requested conversation (ws://host/?conversation=<id>)
+        const conversationId = resolveConversationId(requestUrl.searchParams.get('conversation')) || DEFAULT_CONVERSATION;
+        subscribe(ws, conversationId);
+
+        // Send current state to new client, or only the missed events when resuming (?since=<seq>)
+        const since = parseSince(requestUrl.searchParams.get('since'));
+        if (since !== null) {
+            sendCatchUp(ws, conversationId, since);
+        } else {
+            sendState(ws, conversationId);
+        }
+        broadcastPresence(conversationId);
+        sendCursors(ws, conversationId);
+
+        // Handle messages
+        ws.on('message', (message) => {
+            ws.isAlive = true;
+            handleMessage(ws, message);
+        });
+
+        // Handle client disconnect
+        ws.on('close', () => {
+            removeClient(ws);
+            console.log(`Client disconnected. Active clients: ${clients.size}`);
+        });
+
+        // Handle errors
+        ws.on('error', (error) => {
+            console.error('WebSocket error:', error);
+            removeClient(ws);
+        });
+    });
+
+    // Identify the caller by token; routes below require the role they need
+    app.use(access.middleware());
+
+    // Conversation files (read by the polling fallback) are flow data as well; the rest of
+    // the data directory (journals, idempotency keys, audit log) is never served
+    const serveData = express.static(DATA_DIR, { index: false });
+    app.use('/data', access.require('viewer'), (req, res, next) => {
+        const match = req.path.match(/^\/conversations\/([^/]+)\.json$/);
+        if (req.path === '/flow.json' || (match && isValidConversationId(match[1]))) {
+            return serveData(req, res, next);
+        }
+        res.status(404).end();
+    });
+
+    /**
+     * Serve the web app: its pages and the scripts and stylesheets they load, nothing
+     * else of the directory (configuration, docs, server code, token files)
+     */
+    const appFiles = listAppFiles(__dirname);
+    const serveApp = express.static(__dirname);
+    app.use((req, res, next) => {
+        if (req.path === '/' || appFiles.has(req.path.slice(1))) {
+            return serveApp(req, res, next);
+        }
+        next();
+    });
+
+    // Hook payloads carry whole tool responses (e.g. files read), so they get a larger limit
+    app.use('/api/hooks', express.json({ limit: HOOK_LIMIT }));
+
+    // Nodes carry whole responses and command output (e.g. from the bridge)
+    app.use('/api/nodes', express.json({ limit: NODES_LIMIT }));
+
+    // Transcripts come as JSONL text or as { transcript } JSON, both up to the import limit
+    app.use('/api/import/transcript',
+        express.json({ limit: IMPORT_LIMIT }),
+        express.text({ type: ['text/*', 'application/x-ndjson', 'application/jsonl'], limit: IMPORT_LIMIT }));
+
+    app.use(express.json());
+
+    // Requests retried with the same Idempotency-Key get the first response (e.g. bridge spool replays).
+    // Mounted on each changing route after its role check, with keys kept apart per caller.
+    const idempotent = idempotencyKeys.middleware({
+        scope: req => req.identity ? `${req.identity.role}:${req.identity.name}` : ''
+    });
+
+    /**
+     * Resolve the conversation of a REST request (body field or query parameter)
+     */
+    function getRequestConversationId(req) {
+        const bodyId = req.body && req.body.conversation_id;
+        return resolveConversationId(bodyId || req.query.conversation_id || req.query.conversation);
+    }
+
+    /**
+     * API endpoint to add nodes (for Claude Code bridge)
+     */
+    app.post('/api/nodes', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const { nodes, edges } = req.body;
+            const conversationId = getRequestConversationId(req);
+
+            if (!nodes || !Array.isArray(nodes)) {
+                return res.status(400).json({ error: 'Invalid nodes data' });
+            }
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            if (edges !== undefined && !Array.isArray(edges)) {
+                return res.status(400).json({ error: 'Invalid edges data' });
+            }
+
+            // Validate, then add nodes (and edges if provided) to flow data
+            const mode = req.body.validation || req.query.validation;
+            const { event, validation } = addNodes(conversationId, nodes, edges, mode);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    mode: validation.mode,
+                    issues: validation.issues
+                });
+            }
+
+            // Broadcast to all subscribed clients
+            const sentCount = event ? broadcast(conversationId, event) : 0;
+
+            // Wait for the journal write
+            await flushFlowData(conversationId);
+
+            res.json({
+                success: true,
+                conversation_id: conversationId,
+                seq: event ? event.seq : findConversation(conversationId).seq,
+                nodes_added: validation.nodes.length,
+                edges_added: validation.edges.length,
+                clients_notified: sentCount,
+                issues: validation.issues,
+                id_map: validation.id_map
+            });
+
+        } catch (error) {
+            console.error('Error adding nodes:', error);
+            res.status(500).json({ error: 'Failed to add nodes' });
+        }
+    });
+
+    /**
+     * Get the changes of a PATCH request (the body without routing fields)
+     */
+    function getRequestChanges(req) {
+        const { conversation_id, ...changes } = req.body || {};
+        return changes;
+    }
+
+    /**
+     * API endpoint to patch a node (e.g. running -> complete)
+     */
+    app.patch('/api/nodes/:id', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const changes = getRequestChanges(req);
+            const issues = validatePatch(conversationId, 'node', req.params.id, changes);
+            if (issues.length > 0) {
+                return res.status(400).json({ error: 'Validation failed', issues });
+            }
+
+            const event = patchNode(conversationId, req.params.id, changes);
+            if (!event) {
+                return res.status(404).json({ error: `Node not found: ${req.params.id}` });
+            }
+
+            const sentCount = broadcast(conversationId, event);
+            await flushFlowData(conversationId);
+
+            res.json({
+                success: true,
+                conversation_id: conversationId,
+                seq: event.seq,
+                node: event.node,
+                clients_notified: sentCount
+            });
+        } catch (error) {
+            console.error('Error patching node:', error);
+            res.status(500).json({ error: 'Failed to patch node' });
+        }
+    });
+
+    /**
+     * API endpoint to delete a node (and its dangling edges)
+     */
+    app.delete('/api/nodes/:id', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const event = deleteNode(conversationId, req.params.id);
+            if (!event) {
+                return res.status(404).json({ error: `Node not found: ${req.params.id}` });
+            }
+
+            const sentCount = broadcast(conversationId, event);
+            await flushFlowData(conversationId);
+
+            res.json({
+                success: true,
+                conversation_id: conversationId,
+                seq: event.seq,
+                edges_removed: event.edge_ids.length,
+                clients_notified: sentCount
+            });
+        } catch (error) {
+            console.error('Error deleting node:', error);
+            res.status(500).json({ error: 'Failed to delete node' });
+        }
+    });
+
+    /**
+     * API endpoint to patch an edge
+     */
+    app.patch('/api/edges/:id', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const changes = getRequestChanges(req);
+            const issues = validatePatch(conversationId, 'edge', req.params.id, changes);
+            if (issues.length > 0) {
+                return res.status(400).json({ error: 'Validation failed', issues });
+            }
+
+            const event = patchEdge(conversationId, req.params.id, changes);
+            if (!event) {
+                return res.status(404).json({ error: `Edge not found: ${req.params.id}` });
+            }
+
+            const sentCount = broadcast(conversationId, event);
+            await flushFlowData(conversationId);
+
+            res.json({
+                success: true,
+                conversation_id: conversationId,
+                seq: event.seq,
+                edge: event.edge,
+                clients_notified: sentCount
+            });
+        } catch (error) {
+            console.error('Error patching edge:', error);
+            res.status(500).json({ error: 'Failed to patch edge' });
+        }
+    });
+
+    /**
+     * API endpoint to delete an edge
+     */
+    app.delete('/api/edges/:id', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const event = deleteEdge(conversationId, req.params.id);
+            if (!event) {
+                return res.status(404).json({ error: `Edge not found: ${req.params.id}` });
+            }
+
+            const sentCount = broadcast(conversationId, event);
+            await flushFlowData(conversationId);
+
+            res.json({
+                success: true,
+                conversation_id: conversationId,
+                seq: event.seq,
+                clients_notified: sentCount
+            });
+        } catch (error) {
+            console.error('Error deleting edge:', error);
+            res.status(500).json({ error: 'Failed to delete edge' });
+        }
+    });
+
+    /**
+     * API endpoint to list nodes, filtered and paginated
+     * (?type=a,b&since=&until=&session=&q=&limit=&cursor=, see flow-query.js)
+     */
+    app.get('/api/nodes', access.require('viewer'), (req, res) => {
+        const conversationId = getRequestConversationId(req);
+
+        if (!conversationId) {
+            return res.status(400).json({ error: 'Invalid conversation ID' });
+        }
+
+        const parsed = FlowQuery.parseFilters(req.query);
+        if (!parsed.valid) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const flowData = findConversation(conversationId);
+        const page = new FlowQuery(flowData).list(parsed.filters);
+        if (!page.valid) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        res.json({
+            conversation_id: conversationId,
+            seq: flowData.seq,
+            nodes: page.nodes,
+            total: page.total,
+            limit: parsed.filters.limit,
+            next_cursor: page.next_cursor
+        });
+    });
+
+    /**
+     * API endpoint to get one node, with the IDs of the nodes linked to it
+     */
+    app.get('/api/nodes/:id', access.require('viewer'), (req, res) => {
+        const conversationId = getRequestConversationId(req);
+
+        if (!conversationId) {
+            return res.status(400).json({ error: 'Invalid conversation ID' });
+        }
+
+        const flowData = findConversation(conversationId);
+        const query = new FlowQuery(flowData);
+        const node = query.get(req.params.id);
+        if (!node) {
+            return res.status(404).json({ error: `Node not found: ${req.params.id}` });
+        }
+
+        res.json({
+            conversation_id: conversationId,
+            seq: flowData.seq,
+            node,
+            parent_ids: Array.from(query.parents.get(node.id) || []),
+            child_ids: Array.from(query.children.get(node.id) || [])
+        });
+    });
+
+    /**
+     * API endpoints to get the ancestors or descendants of a node, nearest first (?depth= limits the links followed)
+     */
+    ['ancestors', 'descendants'].forEach(direction => {
+        app.get(`/api/nodes/:id/${direction}`, access.require('viewer'), (req, res) => {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            let depth = Infinity;
+            if (req.query.depth !== undefined) {
+                depth = Number(req.query.depth);
+                if (!Number.isInteger(depth) || depth < 1) {
+                    return res.status(400).json({ error: 'depth must be a positive integer' });
+                }
+            }
+
+            const flowData = findConversation(conversationId);
+            const query = new FlowQuery(flowData);
+            const found = query.traverse(req.params.id, direction, depth);
+            if (!found) {
+                return res.status(404).json({ error: `Node not found: ${req.params.id}` });
+            }
+
+            const nodes = found.map(item => item.node);
+            res.json({
+                conversation_id: conversationId,
+                seq: flowData.seq,
+                node_id: req.params.id,
+                nodes,
+                depths: Object.fromEntries(found.map(item => [item.node.id, item.depth])),
+                edges: query.getEdgesBetween([req.params.id, ...nodes.map(node => node.id)])
+            });
+        });
+    });
+
+    /**
+     * API endpoint to find the shortest path from a node down to another (?to=)
+     */
+    app.get('/api/nodes/:id/path', access.require('viewer'), (req, res) => {
+        const conversationId = getRequestConversationId(req);
+
+        if (!conversationId) {
+            return res.status(400).json({ error: 'Invalid conversation ID' });
+        }
+
+        if (!req.query.to) {
+            return res.status(400).json({ error: 'Missing target node (?to=)' });
+        }
+
+        const flowData = findConversation(conversationId);
+        const query = new FlowQuery(flowData);
+        const missing = [req.params.id, req.query.to].find(id => !query.get(id));
+        if (missing) {
+            return res.status(404).json({ error: `Node not found: ${missing}` });
+        }
+
+        const nodes = query.path(req.params.id, req.query.to);
+        if (!nodes) {
+            return res.status(404).json({ error: `No path from ${req.params.id} to ${req.query.to}` });
+        }
+
+        res.json({
+            conversation_id: conversationId,
+            seq: flowData.seq,
+            from: req.params.id,
+            to: req.query.to,
+            nodes,
+            edges: query.getEdgesAlong(nodes.map(node => node.id))
+        });
+    });
+
+    /**
+     * API endpoint to list the comment threads of a conversation (optionally of one node)
+     */
+    app.get('/api/threads', access.require('viewer'), (req, res) => {
+        const conversationId = getRequestConversationId(req);
+
+        if (!conversationId) {
+            return res.status(400).json({ error: 'Invalid conversation ID' });
+        }
+
+        const nodeId = req.query.node_id;
+        const threads = (findConversation(conversationId).threads || [])
+            .filter(thread => !nodeId || thread.node_id === nodeId);
+
+        res.json({
+            conversation_id: conversationId,
+            threads
+        });
+    });
+
+    /**
+     * Send the result of a comment request: the thread as it is now
+     */
+    async function sendThreadResult(res, conversationId, event) {
+        const sentCount = broadcast(conversationId, event);
+        await flushFlowData(conversationId);
+
+        res.json({
+            success: true,
+            conversation_id: conversationId,
+            seq: event.seq,
+            thread: getThread(conversationId, event.thread_id),
+            clients_notified: sentCount
+        });
+    }
+
+    /**
+     * API endpoint to start a comment thread on a node
+     */
+    app.post('/api/threads', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const comment = { nodeId: req.body.node_id, text: req.body.text };
+            const check = validateComment(conversationId, comment);
+            if (!check.valid) {
+                return res.status(check.status).json({ error: check.error });
+            }
+
+            const event = addComment(conversationId, {
+                ...comment,
+                author: getCommentAuthor(req.identity, req.body.author)
+            });
+            await sendThreadResult(res, conversationId, event);
+        } catch (error) {
+            console.error('Error adding thread:', error);
+            res.status(500).json({ error: 'Failed to add thread' });
+        }
+    });
+
+    /**
+     * API endpoint to reply to a comment thread
+     */
+    app.post('/api/threads/:id/comments', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const comment = { threadId: req.params.id, text: req.body.text };
+            const check = validateComment(conversationId, comment);
+            if (!check.valid) {
+                return res.status(check.status).json({ error: check.error });
+            }
+
+            const event = addComment(conversationId, {
+                ...comment,
+                author: getCommentAuthor(req.identity, req.body.author)
+            });
+            await sendThreadResult(res, conversationId, event);
+        } catch (error) {
+            console.error('Error adding comment:', error);
+            res.status(500).json({ error: 'Failed to add comment' });
+        }
+    });
+
+    /**
+     * API endpoint to resolve or reopen a comment thread ({ resolved: true|false })
+     */
+    app.patch('/api/threads/:id', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            if (typeof req.body.resolved !== 'boolean') {
+                return res.status(400).json({ error: 'resolved must be true or false' });
+            }
+
+            const event = resolveThread(conversationId, req.params.id, req.body.resolved,
+                getCommentAuthor(req.identity, req.body.author));
+            if (!event) {
+                return res.status(404).json({ error: `Thread not found: ${req.params.id}` });
+            }
+
+            await sendThreadResult(res, conversationId, event);
+        } catch (error) {
+            console.error('Error resolving thread:', error);
+            res.status(500).json({ error: 'Failed to resolve thread' });
+        }
+    });
+
+    /**
+     * API endpoint to delete a comment
+     */
+    app.delete('/api/threads/:id/comments/:commentId', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const event = deleteComment(conversationId, req.params.id, req.params.commentId);
+            if (!event) {
+                return res.status(404).json({ error: `Comment not found: ${req.params.commentId}` });
+            }
+
+            await sendThreadResult(res, conversationId, event);
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            res.status(500).json({ error: 'Failed to delete comment' });
+        }
+    });
+
+    /**
+     * Import a Claude Code transcript into a conversation
+     * Node IDs derive from message UUIDs and duplicates are dropped (repair mode by
+     * default), so importing the same transcript twice adds nothing new.
+     * @param {Object} transcript - Result of TranscriptImporter.parse()
+     * @param {Object} [options] - { replace, mode }
+     * @returns {Object} - { event, validation, cleared, duplicates }
+     */
+    function importTranscript(conversationId, transcript, options = {}) {
+        const mode = options.mode || 'repair';
+        let cleared = null;
+
+        if (options.replace) {
+            // Validated against the empty flow it replaces, so a refused transcript leaves the conversation as it was
+            const validation = schema.validateBatch(createEmptyFlow(conversationId), transcript.nodes, transcript.edges, { mode });
+            if (!validation.valid) {
+                return { event: null, validation, cleared, duplicates: 0 };
+            }
+            cleared = clearConversation(conversationId);
+        }
+
+        const { event, validation } = addNodes(conversationId, transcript.nodes, transcript.edges, mode);
+
+        // Already imported items are expected on re-imports; report them as a count
+        const isDuplicate = issue => issue.field === 'id' && issue.action === 'dropped';
+        const duplicates = validation.issues.filter(isDuplicate).length;
+        validation.issues = validation.issues.filter(issue => !isDuplicate(issue));
+
+        return { event, validation, cleared, duplicates };
+    }
+
+    /**
+     * Import a Claude Code session transcript (JSONL)
+     * Body: the raw JSONL (Content-Type: application/x-ndjson or text/plain),
+     * or JSON { transcript, conversation_id, replace, validation }.
+     * Without a conversation ID the transcript's session ID is used.
+     */
+    app.post('/api/import/transcript', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const text = typeof req.body === 'string' ? req.body : (req.body && req.body.transcript);
+            const options = typeof req.body === 'object' && req.body !== null ? req.body : {};
+
+            if (typeof text !== 'string' || !text.trim()) {
+                return res.status(400).json({ error: 'Missing transcript' });
+            }
+
+            if (!TranscriptImporter.isTranscript(text)) {
+                return res.status(400).json({ error: 'Not a Claude Code transcript' });
+            }
+
+            const transcript = new TranscriptImporter().parse(text);
+            const requestedId = options.conversation_id || req.query.conversation_id || req.query.conversation;
+            const conversationId = resolveConversationId(requestedId || transcript.metadata.session_id);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const replace = options.replace === true || req.query.replace === 'true';
+            const mode = options.validation || req.query.validation;
+            const { event, validation, cleared, duplicates } = importTranscript(conversationId, transcript, { replace, mode });
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    mode: validation.mode,
+                    issues: validation.issues
+                });
+            }
+
+            if (cleared) {
+                broadcast(conversationId, cleared);
+            }
+            const sentCount = event ? broadcast(conversationId, event) : 0;
+            await flushFlowData(conversationId);
+
+            console.log(`Imported transcript into "${conversationId}": ${validation.nodes.length} nodes, ${validation.edges.length} edges`);
+
+            res.json({
+                success: true,
+                conversation_id: conversationId,
+                seq: findConversation(conversationId).seq,
+                nodes_added: validation.nodes.length,
+                edges_added: validation.edges.length,
+                duplicates_skipped: duplicates,
+                clients_notified: sentCount,
+                transcript: transcript.metadata,
+                warnings: transcript.warnings,
+                issues: validation.issues
+            });
+        } catch (error) {
+            console.error('Error importing transcript:', error);
+            res.status(500).json({ error: 'Failed to import transcript' });
+        }
+    });
+
+    /**
+     * Conversation a tailed session file goes to: its file name (the session ID),
+     * with characters not allowed in conversation IDs replaced
+     */
+    function getTranscriptConversationId(session) {
+        const id = session.id.replace(/[^A-Za-z0-9_.-]/g, '-').replace(/^[^A-Za-z0-9]+/, '').slice(0, 128);
+        return isValidConversationId(id) ? id : null;
+    }
+
+    /**
+     * Add the nodes of lines appended to a tailed session file and push them to subscribers
+     */
+    async function importTranscriptLines(session, batch) {
+        const conversationId = getTranscriptConversationId(session);
+        if (!conversationId) {
+            console.warn(`Skipping transcript ${session.file}: no usable conversation ID`);
+            return;
+        }
+
+        batch.warnings.forEach(warning => console.warn(`Transcript ${session.file}: ${warning}`));
+
+        const { event, validation } = importTranscript(conversationId, batch);
+        if (validation.issues.length > 0) {
+            console.warn(`Transcript ${session.file}: ${validation.issues.length} validation issue(s)`);
+        }
+        if (!event) {
+            return;
+        }
+
+        broadcast(conversationId, event);
+        await flushFlowData(conversationId);
+    }
+
+    /**
+     * Tail options.transcriptsDir: every session file becomes its own conversation
+     */
+    async function watchTranscripts() {
+        transcriptWatcher.on('session', session => {
+            console.log(`Tailing transcript ${session.file} -> conversation "${getTranscriptConversationId(session)}"`);
+        });
+
+        transcriptWatcher.on('append', (session, batch) => {
+            importTranscriptLines(session, batch).catch(error => {
+                console.error(`Error importing transcript ${session.file}:`, error);
+            });
+        });
+
+        transcriptWatcher.on('reset', (session, reason) => {
+            // Node IDs derive from message UUIDs, so lines read again are dropped as duplicates
+            console.log(`Transcript ${session.file} was ${reason}, reading it again`);
+        });
+
+        transcriptWatcher.on('error', error => {
+            console.error('Transcript watcher error:', error.message);
+        });
+
+        await transcriptWatcher.start();
+    }
+
+    /**
+     * Receive a Claude Code hook payload (e.g. forwarded by `bridge.js hook`)
+     * Without a conversation ID the payload's session ID is used.
+     */
+    app.post('/api/hooks/:event', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const event = HookMapper.resolveEvent(req.params.event);
+            const payload = req.body;
+
+            if (!event) {
+                return res.status(400).json({ error: `Unknown hook event: ${req.params.event}`, events: HookMapper.EVENTS });
+            }
+
+            if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+                return res.status(400).json({ error: 'Invalid hook payload' });
+            }
+
+            const conversationId = resolveConversationId(req.query.conversation_id || req.query.conversation ||
+                payload.conversation_id || payload.session_id);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            // Start a new chain if the previous node is gone (e.g. the conversation was cleared)
+            const hookSession = hookMapper.getSession(conversationId);
+            if (hookSession.lastNodeId && !findConversation(conversationId).nodes.some(node => node.id === hookSession.lastNodeId)) {
+                hookSession.lastNodeId = null;
+            }
+
+            const mapped = hookMapper.map(conversationId, event, payload);
+            const { event: added, validation } = addNodes(conversationId, mapped.nodes, mapped.edges, 'repair');
+            const patched = mapped.patches
+                .map(patch => patchNode(conversationId, patch.id, patch.changes))
+                .filter(Boolean);
+
+            let sentCount = added ? broadcast(conversationId, added) : 0;
+            patched.forEach(patchEvent => {
+                sentCount += broadcast(conversationId, patchEvent);
+            });
+
+            await flushFlowData(conversationId);
+
+            res.json({
+                success: true,
+                event,
+                conversation_id: conversationId,
+                seq: findConversation(conversationId).seq,
+                nodes_added: validation.nodes.length,
+                nodes_updated: patched.length,
+                node_ids: validation.nodes.map(node => node.id).concat(patched.map(patchEvent => patchEvent.id)),
+                clients_notified: sentCount,
+                issues: validation.issues
+            });
+        } catch (error) {
+            console.error('Error handling hook:', error);
+            res.status(500).json({ error: 'Failed to handle hook' });
+        }
+    });
+
+    /**
+     * API endpoint to clear flow data
+     */
+    app.post('/api/clear', access.require('editor'), idempotent, async (req, res) => {
+        try {
+            const conversationId = getRequestConversationId(req);
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            const event = clearConversation(conversationId);
+            broadcast(conversationId, event);
+
+            await flushFlowData(conversationId);
+
+            res.json({ success: true, conversation_id: conversationId, seq: event.seq });
+
+        } catch (error) {
+            console.error('Error clearing flow data:', error);
+            res.status(500).json({ error: 'Failed to clear flow data' });
+        }
+    });
+
+    /**
+     * Wrap a Server-Sent Events response as a client, so broadcasts reach it like a WebSocket
+     */
+    function createEventStreamClient(res) {
+        return {
+            readyState: WebSocket.OPEN,
+            get bufferedAmount() {
+                return res.writableLength;
+            },
+            send(data) {
+                // The sequence number is the event ID: EventSource sends it back as Last-Event-ID when reconnecting
+                const message = JSON.parse(data);
+                const id = typeof message.seq === 'number' ? `id: ${message.seq}\n` : '';
+                res.write(`${id}data: ${data}\n\n`);
+            },
+            close() {
+                res.end();
+            }
+        };
+    }
+
+    /**
+     * Live updates as Server-Sent Events, for clients that cannot open a WebSocket
+     * Every message a WebSocket subscriber gets (state, delta, node_update, ...) is one event.
+     * Resumes after the Last-Event-ID header (or ?since=<seq>) with the missed events.
+     */
+    app.get('/api/events', access.require('viewer'), (req, res) => {
+        const conversationId = getRequestConversationId(req);
+
+        if (!conversationId) {
+            return res.status(400).json({ error: 'Invalid conversation ID' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+        });
+        res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+        const client = createEventStreamClient(res);
+        addClient(client, { transport: 'sse', identity: req.identity, name: req.query.name });
+        subscribe(client, conversationId);
+        console.log(`New event stream for "${conversationId}"`);
+
+        const lastEventId = req.get('Last-Event-ID');
+        const since = parseSince(lastEventId !== undefined ? lastEventId : req.query.since);
+        if (since !== null) {
+            sendCatchUp(client, conversationId, since);
+        } else {
+            sendState(client, conversationId);
+        }
+        broadcastPresence(conversationId);
+        sendCursors(client, conversationId);
+
+        // Comment lines keep proxies from closing an idle stream
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            client.readyState = WebSocket.CLOSED;
+            removeClient(client);
+            console.log(`Event stream closed. Active clients: ${clients.size}`);
+        });
+    });
+
+    /**
+     * API endpoint to get current state
+     */
+    app.get('/api/state', access.require('viewer'), (req, res) => {
+        const conversationId = getRequestConversationId(req);
+
+        if (!conversationId) {
+            return res.status(400).json({ error: 'Invalid conversation ID' });
+        }
+
+        res.json({
+            conversation_id: conversationId,
+            flow_data: findConversation(conversationId),
+            clients_connected: clients.size,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * API endpoint to list conversations
+     */
+    app.get('/api/conversations', access.require('viewer'), (req, res) => {
+        const list = Array.from(conversations.values()).map(flowData => ({
+            conversation_id: flowData.conversation_id,
+            created_at: flowData.created_at,
+            nodes: flowData.nodes.length,
+            edges: flowData.edges.length,
+            subscribers: Array.from(clients).filter(client => isSubscribed(client, flowData.conversation_id)).length
+        }));
+
+        res.json({
+            conversations: list,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * Role of the caller's token, so clients know whether to ask for one
+     */
+    app.get('/api/auth', (req, res) => {
+        res.json({
+            enabled: access.enabled,
+            role: req.identity ? req.identity.role : null,
+            name: req.identity ? req.identity.name : null
+        });
+    });
+
+    /**
+     * Health check endpoint
+     */
+    app.get('/api/health', (req, res) => {
+        let nodes = 0;
+        let edges = 0;
+        conversations.forEach(flowData => {
+            nodes += flowData.nodes.length;
+            edges += flowData.edges.length;
+        });
+
+        res.json({
+            status: 'ok',
+            uptime: process.uptime(),
+            clients: clients.size,
+            conversations: conversations.size,
+            nodes,
+            edges,
+            transcripts: transcriptWatcher ? {
+                directory: transcriptWatcher.directory,
+                sessions: transcriptWatcher.sessions.size
+            } : null
+        });
+    });
+
+    /**
+     * Build the result of a finished run (HTTP response and run_exit message)
+     */
+    function getRunResult(run) {
+        let error = run.error;
+        if (run.cancelled) {
+            error = `Command cancelled (${run.cancel_signal})`;
+        } else if (!error && run.exit_code !== 0) {
+            error = run.signal ? `Command killed by ${run.signal}` : `Command failed with exit code ${run.exit_code}`;
+        } else if (!error && run.claude && run.claude.is_error) {
+            error = `Claude Code failed: ${run.claude.output || 'no result'}`;
+        }
+
+        return {
+            run_id: run.id,
+            node_id: run.context.node_id || null,
+            command: run.command,
+            command_type: run.type,
+            status: run.status,
+            success: !error,
+            exit_code: run.exit_code,
+            signal: run.signal,
+            duration_ms: run.duration_ms,
+            output_length: run.output.length,
+            output_truncated: run.output_truncated,
+            error,
+            ...(run.claude ? { claude: run.claude } : {}),
+            ...getRunLocation(run)
+        };
+    }
+
+    /**
+     * Add the nodes and edges of a claude run's stream-json events to its conversation
+     * (repair mode, so the stream is never rejected as a whole)
+     */
+    function publishClaudeEvents(run, batch) {
+        const conversationId = run.context.conversation_id;
+
+        if (batch.nodes.length > 0 || batch.edges.length > 0) {
+            const { event } = addNodes(conversationId, batch.nodes, batch.edges, 'repair');
+            if (event) {
+                broadcast(conversationId, event);
+            }
+        }
+
+        if (batch.text) {
+            broadcast(conversationId, {
+                type: MessageType.RUN_OUTPUT,
+                run_id: run.id,
+                node_id: run.context.node_id || null,
+                stream: 'stdout',
+                data: batch.text
+            });
+        }
+    }
+
+    /**
+     * Where a run executed: session, working directory (before/after), git branch and exported variables
+     */
+    function getRunLocation(run) {
+        const before = run.session;
+        const after = run.session_after || before;
+
+        return {
+            session_id: before ? before.session_id : null,
+            cwd: before ? before.cwd : run.cwd,
+            cwd_after: after ? after.cwd : run.cwd,
+            git_branch: before ? before.git_branch : null,
+            environment: after ? after.environment : {}
+        };
+    }
+
+    /**
+     * Check a command against the execution policy and start it
+     * Every request is written to the audit log; denied commands are answered
+     * with run_denied (broadcast like the other run events) instead of running.
+     * @param {Object} request - { command, type, runId, conversationId, nodeId, sessionId }
+     * @param {Object} source - { via, address } for the audit log
+     * @returns {Object} - { run } when started, { denied } (the run_denied message) otherwise
+     */
+    function startRun(request, source) {
+        const { command, type, conversationId, nodeId = null, sessionId = null } = request;
+        const runId = request.runId || runner.generateRunId();
+        const decision = policy.check({ command, type });
+
+        policy.audit({
+            event: decision.allowed ? 'allowed' : 'denied',
+            run_id: runId,
+            command,
+            command_type: type,
+            conversation_id: conversationId,
+            session_id: sessionId,
+            reason: decision.reason,
+            rule: decision.rule,
+            ...source
+        });
+
+        if (!decision.allowed) {
+            console.log(`Denied ${type} command (${decision.rule}): ${command}`);
+            const denied = {
+                type: MessageType.RUN_DENIED,
+                run_id: runId,
+                node_id: nodeId,
+                command,
+                command_type: type,
+                status: 'denied',
+                success: false,
+                exit_code: null,
+                error: `Denied by execution policy: ${decision.reason}`,
+                reason: decision.reason,
+                rule: decision.rule,
+                timestamp: new Date().toISOString()
+            };
+            broadcast(conversationId, denied);
+            return { denied };
+        }
+
+        const session = sessionId ? sessions.get(sessionId) : null;
+        if (session) {
+            // A `cd` out of cwd_root only lasts until the next command
+            session.cwd = policy.confineDirectory(session.getStartDirectory());
+        }
+
+        const run = runner.start({
+            command,
+            type,
+            runId,
+            context: { conversation_id: conversationId, node_id: nodeId },
+            session,
+            sandbox: {
+                cwd: policy.confineDirectory(process.cwd()),
+                env: policy.scrubEnv(ENV),
+                prelude: policy.getLimitScript()
+            },
+            timeout: policy.limits.timeout_ms !== null ? policy.limits.timeout_ms : undefined
+        });
+
+        return { run };
+    }
+
+    /**
+     * Stream run events to the subscribers of the run's conversation (not persisted)
+     */
+    runner.on('start', run => {
+        console.log(`Run ${run.id} started (${run.type}): ${run.command}`);
+        if (run.type === 'claude') {
+            claudeStreams.set(run.id, new ClaudeStream({ runId: run.id, parentId: run.context.node_id }));
+        }
+
+        broadcast(run.context.conversation_id, {
+            type: MessageType.RUN_STARTED,
+            run_id: run.id,
+            node_id: run.context.node_id || null,
+            command: run.command,
+            command_type: run.type,
+            pid: run.pid,
+            started_at: run.started_at,
+            ...getRunLocation(run)
+        });
+    });
+
+    runner.on('output', (run, stream, chunk) => {
+        const claudeStream = claudeStreams.get(run.id);
+        if (claudeStream && stream === 'stdout') {
+            // Raw JSON lines become nodes; subscribers get readable text as run output
+            publishClaudeEvents(run, claudeStream.push(chunk));
+            return;
+        }
+
+        broadcast(run.context.conversation_id, {
+            type: MessageType.RUN_OUTPUT,
+            run_id: run.id,
+            node_id: run.context.node_id || null,
+            stream,
+            data: chunk
+        });
+    });
+
+    runner.on('exit', run => {
+        console.log(`Run ${run.id} exited with code ${run.exit_code} after ${run.duration_ms}ms`);
+
+        const claudeStream = claudeStreams.get(run.id);
+        if (claudeStream) {
+            publishClaudeEvents(run, claudeStream.end());
+            claudeStreams.delete(run.id);
+
+            const result = claudeStream.result || {};
+            run.claude = {
+                session_id: claudeStream.sessionId,
+                model: claudeStream.model,
+                output: claudeStream.getOutput(),
+                is_error: Boolean(result.is_error),
+                num_turns: result.num_turns || 0,
+                total_cost_usd: result.total_cost_usd !== undefined ? result.total_cost_usd : null
+            };
+        }
+
+        policy.audit({
+            event: 'exit',
+            run_id: run.id,
+            status: run.status,
+            exit_code: run.exit_code,
+            signal: run.signal,
+            duration_ms: run.duration_ms,
+            error: run.error
+        });
+        broadcast(run.context.conversation_id, {
+            type: MessageType.RUN_EXIT,
+            ...getRunResult(run),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * Command execution endpoint (answers when the command finishes;
+     * output is streamed to WebSocket subscribers while it runs)
+     */
+    app.post('/api/execute', access.require('executor'), idempotent, async (req, res) => {
+        try {
+            const { command, type = 'shell', run_id: runId, node_id: nodeId, session_id: sessionId } = req.body;
+            const conversationId = getRequestConversationId(req);
+
+            if (!command || typeof command !== 'string') {
+                return res.status(400).json({ error: 'Invalid command' });
+            }
+
+            if (type !== 'shell' && type !== 'claude') {
+                return res.status(400).json({ error: 'Invalid command type. Use "shell" or "claude"' });
+            }
+
+            if (!conversationId) {
+                return res.status(400).json({ error: 'Invalid conversation ID' });
+            }
+
+            if (runId !== undefined && !runner.isValidRunId(runId)) {
+                return res.status(400).json({ error: 'Invalid or duplicate run ID' });
+            }
+
+            if (sessionId !== undefined && !SessionManager.isValidSessionId(sessionId)) {
+                return res.status(400).json({ error: 'Invalid session ID' });
+            }
+
+            console.log(`Executing ${type} command: ${command}`);
+
+            const { run: started, denied } = startRun({
+                command,
+                type,
+                runId,
+                conversationId,
+                nodeId,
+                sessionId
+            }, { via: 'http', address: req.ip });
+
+            if (denied) {
+                return res.status(403).json({ ...denied, type, output: denied.error });
+            }
+
+            const run = await started.done;
+
+            const result = getRunResult(run);
+            let output = (run.claude ? run.claude.output : run.output).trim();
+
+            if (!output) {
+                if (type === 'claude') {
+                    output = run.error ? `Claude Code error: ${run.error}` : 'No response from Claude Code';
+                } else {
+                    output = result.error || 'Command executed successfully';
+                }
+            }
+
+            res.json({
+                ...result,
+                output,
+                type: type,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error executing command:', error);
+            res.status(500).json({
+                error: 'Failed to execute command',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * Signal a running command (e.g. SIGINT to cancel it); the run's node ends up 'cancelled'
+     */
+    app.post('/api/execute/:runId/signal', access.require('executor'), idempotent, (req, res) => {
+        const signal = req.body.signal || 'SIGINT';
+        const run = runner.get(req.params.runId);
+
+        if (!CommandRunner.isValidSignal(signal)) {
+            return res.status(400).json({ error: `Invalid signal: ${signal}` });
+        }
+
+        if (!run) {
+            return res.status(404).json({ error: `Run not found: ${req.params.runId}` });
+        }
+
+        runner.signal(run.id, signal);
+        policy.audit({ event: 'signal', run_id: run.id, signal, via: 'http', address: req.ip });
+        console.log(`Sent ${signal} to run ${run.id}`);
+
+        res.json({
+            success: true,
+            run_id: run.id,
+            signal,
+            conversation_id: run.context.conversation_id
+        });
+    });
+
+    /**
+     * Start server: load the persisted conversations and listen
+     * @returns {Promise<number>} - The port listened on
+     */
+    async function start() {
+        console.log('Claude Flow WebSocket Server');
+        console.log('============================');
+
+        // Initialize
+        await initDataDir();
+        await loadFlowData();
+        await idempotencyKeys.load();
+
+        if (transcriptWatcher) {
+            await watchTranscripts();
+        }
+
+        // Start server
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(PORT, HOST, () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        flowServer.port = server.address().port;
+
+        heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+        heartbeatTimer.unref();
+        console.log(`\nServer running on http://localhost:${flowServer.port}`);
+        console.log(`WebSocket endpoint: ws://localhost:${flowServer.port}`);
+        console.log(`\nAPI Endpoints:`);
+        console.log(`  POST /api/nodes   - Add nodes`);
+        console.log(`  PATCH/DELETE /api/nodes/:id - Update or remove a node`);
+        console.log(`  PATCH/DELETE /api/edges/:id - Update or remove an edge`);
+        console.log(`  POST /api/clear   - Clear flow data`);
+        console.log(`  POST /api/execute - Execute commands`);
+        console.log(`  POST /api/hooks/:event - Claude Code hook payloads`);
+        console.log(`  GET  /api/state   - Get current state`);
+        console.log(`  GET  /api/events  - Live updates (Server-Sent Events)`);
+        console.log(`  GET  /api/conversations - List conversations`);
+        console.log(`  GET  /api/health  - Health check`);
+        console.log(`  GET  /api/auth    - Role of the caller's token`);
+        if (!access.enabled) {
+            console.warn(`\nAuthentication is off: anyone reaching this port can run commands (set AUTH_TOKENS)`);
+        }
+        if (transcriptWatcher) {
+            console.log(`\nTailing transcripts in ${transcriptWatcher.directory}`);
+        }
+
+        return flowServer.port;
+    }
+
+    /**
+     * Graceful shutdown: stop running commands, write final snapshots and close all connections
+     */
+    async function stop() {
+        // Stop running commands (they run in their own process groups)
+        runner.signalAll('SIGTERM');
+
+        clearInterval(heartbeatTimer);
+
+        if (transcriptWatcher) {
+            transcriptWatcher.stop();
+        }
+
+        // Write final snapshots of the conversations with events not yet compacted
+        for (const journal of journals.values()) {
+            await (journal.pendingEvents > 0 ? journal.compact() : journal.flush());
+        }
+        await policy.flush();
+
+        // Close all client connections
+        clients.forEach(client => {
+            client.close();
+        });
+
+        // Close server
+        await new Promise(resolve => {
+            wss.close();
+            server.close(() => resolve());
+        });
+        console.log('Server stopped');
+    }
+
+    /**
+     * Resolve the conversation of an in-process call, rejecting invalid IDs
+     */
+    function requireConversationId(conversationId) {
+        const resolved = resolveConversationId(conversationId);
+        if (!resolved) {
+            throw new Error(`Invalid conversation ID: ${conversationId}`);
+        }
+        return resolved;
+    }
+
+    Object.assign(flowServer, {
+        app,
+        server,
+        port: null,
+        start,
+        stop,
+
+        /**
+         * Add nodes and edges to a conversation, like POST /api/nodes
+         * @param {Object} [addOptions] - { conversationId, mode }
+         * @returns {Promise<Object>} - { event, validation }; event is null when nothing was added
+         */
+        async addNodes(nodes, edges = [], addOptions = {}) {
+            const conversationId = requireConversationId(addOptions.conversationId);
+            const result = addNodes(conversationId, nodes, edges, addOptions.mode);
+
+            if (result.event) {
+                broadcast(conversationId, result.event);
+                await flushFlowData(conversationId);
+            }
+            return result;
+        },
+
+        /**
+         * Copy of a conversation's flow data ({ conversation_id, seq, nodes, edges, ... })
+         */
+        getState(conversationId) {
+            return JSON.parse(JSON.stringify(findConversation(requireConversationId(conversationId))));
+        },
+
+        /**
+         * Clear a conversation, like POST /api/clear
+         * @returns {Promise<Object>} - The clear event
+         */
+        async clear(conversationId) {
+            const resolved = requireConversationId(conversationId);
+            const event = clearConversation(resolved);
+
+            broadcast(resolved, event);
+            await flushFlowData(resolved);
+            return event;
+        }
+    });
+
+    return flowServer;
+}
+
+// Run as a program: configured through environment variables
+if (require.main === module) {
+    const env = process.env;
+    const flowServer = createFlowServer({
+        port: env.PORT || 3000,
+        eventLogSize: parseInt(env.EVENT_LOG_SIZE, 10) || undefined,
+        policyFile: env.EXECUTION_POLICY,
+        importLimit: env.IMPORT_LIMIT,
+        hookLimit: env.HOOK_LIMIT,
+        nodesLimit: env.NODES_LIMIT,
+        heartbeatInterval: parseInt(env.HEARTBEAT_MS, 10) || undefined,
+        sendHighWaterMark: parseInt(env.SEND_HIGH_WATER_MARK, 10) || undefined,
+        validationMode: env.VALIDATION_MODE,
+        executeTimeout: env.EXECUTE_TIMEOUT_MS !== undefined ? parseInt(env.EXECUTE_TIMEOUT_MS, 10) : undefined,
+        claudeBin: env.CLAUDE_BIN,
+        sessionCwd: env.SESSION_CWD,
+        sessionShell: env.SESSION_SHELL,
+        authTokens: env.AUTH_TOKENS,
+        authFile: env.AUTH_TOKENS_FILE,
+        transcriptsDir: env.TRANSCRIPTS_DIR,
+        transcriptsPollInterval: parseInt(env.TRANSCRIPTS_POLL_MS, 10) || undefined,
+        transcriptsBackfill: env.TRANSCRIPTS_BACKFILL === 'true'
+    });
+
+    process.on('SIGINT', async () => {
+        console.log('\nShutting down gracefully...');
+        await flowServer.stop();
+        process.exit(0);
+    });
+
+    // Start the server
+    flowServer.start()
+        .then(() => console.log(`\nPress Ctrl+C to stop`))
+        .catch(error => {
+            console.error('Failed to start server:', error);
+            process.exit(1);
+        });
+}
 
-// Start the server
-start().catch(error => {
-    console.error('Failed to start server:', error);
-    process.exit(1);
-});
+module.exports = { createFlowServer, MessageType, MessageRoles };
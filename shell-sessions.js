@@ -0,0 +1,235 @@
+/**
+ * Shell Sessions - Persistent working directory and environment per terminal session
+ *
+ * Every command still runs in its own shell, but it starts in the session's
+ * working directory with the session's environment. When the shell exits it
+ * reports its final directory and environment on fd 3 (NUL-separated, using
+ * only bash builtins), so `cd` and `export` carry over to the next command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Variables the wrapper shell changes on its own; never treated as user exports
+const IGNORED_ENV = ['PWD', 'OLDPWD', 'SHLVL', '_', 'CF_COMMAND'];
+
+// Reports the final state of the shell (also when the command calls `exit`):
+// the directory, then one NAME=value per exported variable, each ending in NUL
+const REPORT_SCRIPT = [
+    '__cf_report() {',
+    '  __cf_status=$?',
+    '  { printf \'%s\\0\' "$PWD"; for __cf_name in $(compgen -e); do printf \'%s=%s\\0\' "$__cf_name" "${!__cf_name}"; done; } >&3 2>/dev/null',
+    '  exit $__cf_status',
+    '}',
+    'trap __cf_report EXIT',
+    'eval "$CF_COMMAND"'
+].join('\n');
+
+class ShellSession {
+    /**
+     * @param {string} id - Session ID (terminal-input's sessionId)
+     * @param {Object} options - { cwd, env, shell }
+     */
+    constructor(id, options = {}) {
+        this.id = id;
+        this.shell = options.shell || 'bash';
+        this.cwd = options.cwd || process.cwd();
+        this.baseEnv = { ...(options.env || process.env) };
+        this.env = { ...this.baseEnv };
+        this.created_at = new Date().toISOString();
+        this.lastUsed = Date.now();
+        this.commandCount = 0;
+    }
+
+    /**
+     * Working directory to start the next command in (falls back to home if it was removed)
+     */
+    getStartDirectory() {
+        try {
+            if (fs.statSync(this.cwd).isDirectory()) {
+                return this.cwd;
+            }
+        } catch (error) {
+            // Directory no longer exists
+        }
+
+        this.cwd = os.homedir();
+        return this.cwd;
+    }
+
+    /**
+     * Spawn arguments for a shell command run in this session
+     * @param {string} [prelude] - Shell code run before the command (e.g. ulimit calls)
+     */
+    getShellSpawnArgs(command, prelude = '') {
+        this.lastUsed = Date.now();
+        this.commandCount++;
+
+        return {
+            file: this.shell,
+            args: ['-c', prelude ? `${prelude}\n${REPORT_SCRIPT}` : REPORT_SCRIPT],
+            options: {
+                cwd: this.getStartDirectory(),
+                env: { ...this.env, CF_COMMAND: command }
+            },
+            stateFd: true
+        };
+    }
+
+    /**
+     * Spawn options for a non-shell process (e.g. claude) run in this session
+     */
+    getProcessOptions() {
+        this.lastUsed = Date.now();
+        return { cwd: this.getStartDirectory(), env: { ...this.env } };
+    }
+
+    /**
+     * Apply the state reported by the shell on fd 3
+     * @param {string} report - "cwd\0NAME=value\0NAME=value\0..."
+     * @returns {boolean} - Whether a complete report was applied
+     */
+    applyState(report) {
+        // A shell killed before its EXIT trap ran leaves no (or a partial) report
+        if (!report || !report.endsWith('\0')) {
+            return false;
+        }
+
+        const [cwd, ...variables] = report.slice(0, -1).split('\0');
+        const env = {};
+
+        variables.forEach(variable => {
+            const separator = variable.indexOf('=');
+            if (separator > 0) {
+                env[variable.slice(0, separator)] = variable.slice(separator + 1);
+            }
+        });
+
+        IGNORED_ENV.forEach(key => {
+            if (key in this.env) {
+                env[key] = this.env[key];
+            } else {
+                delete env[key];
+            }
+        });
+
+        this.cwd = cwd;
+        this.env = env;
+        return true;
+    }
+
+    /**
+     * Variables exported (or changed) in this session, compared to the server environment
+     */
+    getExportedVariables() {
+        const exported = {};
+
+        Object.keys(this.env).forEach(key => {
+            if (!IGNORED_ENV.includes(key) && this.baseEnv[key] !== this.env[key]) {
+                exported[key] = this.env[key];
+            }
+        });
+
+        return exported;
+    }
+
+    /**
+     * Current git branch of the working directory (null outside a repository)
+     */
+    getGitBranch() {
+        return ShellSession.findGitBranch(this.cwd);
+    }
+
+    /**
+     * Find the git branch of a directory by reading HEAD, without spawning git
+     */
+    static findGitBranch(directory) {
+        let current = path.resolve(directory);
+
+        while (true) {
+            const gitPath = path.join(current, '.git');
+
+            try {
+                let gitDir = gitPath;
+                if (fs.statSync(gitPath).isFile()) {
+                    // Worktrees and submodules: ".git" is a file pointing at the real git dir
+                    const pointer = fs.readFileSync(gitPath, 'utf8').match(/^gitdir:\s*(.+)$/m);
+                    if (!pointer) return null;
+                    gitDir = path.resolve(current, pointer[1].trim());
+                }
+
+                const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+                const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+                return ref ? ref[1] : head.slice(0, 7);
+            } catch (error) {
+                // Not a repository at this level
+            }
+
+            const parent = path.dirname(current);
+            if (parent === current) {
+                return null;
+            }
+            current = parent;
+        }
+    }
+
+    /**
+     * Summary of the session for run events and node metadata
+     */
+    describe() {
+        return {
+            session_id: this.id,
+            cwd: this.cwd,
+            git_branch: this.getGitBranch(),
+            environment: this.getExportedVariables()
+        };
+    }
+}
+
+class SessionManager {
+    /**
+     * @param {Object} options - { cwd, env, shell, idleTimeout }
+     */
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd();
+        this.env = options.env || process.env;
+        this.shell = options.shell || 'bash';
+        this.idleTimeout = options.idleTimeout || 12 * 60 * 60 * 1000;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Check that a session ID is usable
+     */
+    static isValidSessionId(sessionId) {
+        return typeof sessionId === 'string' && /^[A-Za-z0-9_.:-]{1,128}$/.test(sessionId);
+    }
+
+    /**
+     * Get a session, creating it on first use
+     */
+    get(sessionId) {
+        this.pruneIdle();
+
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, new ShellSession(sessionId, { cwd: this.cwd, env: this.env, shell: this.shell }));
+        }
+
+        return this.sessions.get(sessionId);
+    }
+
+    /**
+     * Drop sessions that have not been used for a while
+     */
+    pruneIdle() {
+        const now = Date.now();
+        this.sessions.forEach((session, sessionId) => {
+            if (now - session.lastUsed > this.idleTimeout) {
+                this.sessions.delete(sessionId);
+            }
+        });
+    }
+}
+
+module.exports = { SessionManager, ShellSession };
@@ -11,8 +11,11 @@ class TerminalInput {
 
         // Terminal session tracking
         this.sessionId = `session-${Date.now()}`;
+        this.location = { cwd: null, git_branch: null, environment: {} }; // Last reported by the server
+        this.lastRun = null; // Result of the last HTTP-executed command (see takeLastRun)
         this.commandIndex = 0;
         this.lastOutputId = null;
+        this.currentRunId = null; // Run that Ctrl+C cancels
         this.commandQueue = [];  // For sequential processing
         this.isProcessing = false;
 
@@ -75,6 +78,11 @@ class TerminalInput {
             } else if (e.key === 'l' && e.ctrlKey) {
                 e.preventDefault();
                 this.clearTerminal();
+            } else if (e.key === 'c' && e.ctrlKey && this.currentRunId &&
+                       this.input.selectionStart === this.input.selectionEnd) {
+                // Ctrl+C without a selection interrupts the running command
+                e.preventDefault();
+                this.cancelCurrentRun();
             }
         });
 
@@ -144,6 +152,12 @@ class TerminalInput {
                 return;
             }
 
+            // Stream the command over WebSocket when connected
+            if (window.app?.ws?.readyState === WebSocket.OPEN && window.app.parser?.completeTerminalExecution) {
+                await this.executeStreaming(message);
+                return;
+            }
+
             // Execute command
             const result = await this.executeCommand(message);
             const duration = Date.now() - startTime;
@@ -169,6 +183,149 @@ class TerminalInput {
         }
     }
 
+    /**
+     * Run ID for the next command
+     */
+    createRunId() {
+        return `${this.sessionId}-run-${this.commandIndex}-${Date.now()}`;
+    }
+
+    /**
+     * Send SIGINT to the running command; its node is marked 'cancelled' and keeps its output
+     */
+    async cancelCurrentRun() {
+        const runId = this.currentRunId;
+        if (!runId) return;
+
+        this.addToTerminal('system', '^C');
+
+        if (window.app?.ws?.readyState === WebSocket.OPEN) {
+            window.app.signalRun(runId, 'SIGINT');
+            return;
+        }
+
+        try {
+            await fetch(`http://localhost:3000/api/execute/${encodeURIComponent(runId)}/signal`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(window.app ? window.app.getAuthHeaders() : {})
+                },
+                body: JSON.stringify({ signal: 'SIGINT' })
+            });
+        } catch (error) {
+            console.error('Failed to cancel command:', error);
+        }
+    }
+
+    /**
+     * Run a command over the WebSocket, growing its output node and terminal entry as chunks arrive
+     */
+    async executeStreaming(message) {
+        const app = window.app;
+        const runId = this.createRunId();
+
+        // Create the nodes in running state; the output node grows as chunks arrive
+        const parseResult = app.parser.parseTerminalExecution(
+            message,
+            { running: true, output: '' },
+            {
+                session_id: this.sessionId,
+                command_index: this.commandIndex,
+                previous_output_id: this.lastOutputId,
+                cwd: this.location.cwd,
+                git_branch: this.location.git_branch,
+                environment: this.location.environment,
+                run_id: runId
+            }
+        );
+
+        this.lastOutputId = parseResult.lastOutputId;
+        this.commandIndex++;
+
+        app.sendMessage({
+            type: 'node_update',
+            nodes: parseResult.nodes,
+            edges: parseResult.edges
+        });
+
+        // Stream output into the terminal panel
+        const entry = this.addToTerminal('assistant', '');
+        let streamed = '';
+        let result;
+
+        this.currentRunId = runId;
+        try {
+            result = await app.executeRun({
+                run_id: runId,
+                command: message,
+                command_type: this.determineCommandType(message),
+                node_id: parseResult.nodes[1].id,
+                session_id: this.sessionId
+            }, (chunk) => {
+                streamed += chunk;
+                this.updateTerminalEntry(entry, streamed);
+            });
+        } catch (error) {
+            result = { success: false, exit_code: null, duration_ms: 0, output: '', error: error.message };
+        } finally {
+            this.currentRunId = null;
+        }
+
+        this.updateLocation(result);
+
+        const output = result.output || result.error || 'Command executed (no output)';
+        if (!result.output) {
+            this.updateTerminalEntry(entry, result.error ? `❌ Error: ${result.error}` : output);
+        }
+
+        // Finish the nodes with the real exit code and duration
+        const completion = app.parser.completeTerminalExecution(parseResult, {
+            success: result.success,
+            output,
+            exit_code: result.exit_code,
+            duration_ms: result.duration_ms,
+            status: result.status,
+            cwd: result.cwd,
+            git_branch: result.git_branch,
+            environment: result.environment
+        });
+
+        completion.nodePatches.forEach(patch => {
+            app.sendMessage({ type: 'node_patch', id: patch.id, changes: patch.changes });
+        });
+        completion.edgePatches.forEach(patch => {
+            app.sendMessage({ type: 'edge_patch', id: patch.id, changes: patch.changes });
+        });
+
+        if (window.ui) {
+            if (result.status === 'denied') {
+                window.ui.error('Command Denied', result.reason);
+            } else if (result.status === 'cancelled') {
+                window.ui.warning('Command Cancelled', `Stopped after ${result.duration_ms}ms`);
+            } else if (result.success) {
+                window.ui.success('Command Complete', `Exited with code 0 in ${result.duration_ms}ms`);
+            } else {
+                window.ui.error('Command Failed', result.error || `Exited with code ${result.exit_code}`);
+            }
+        }
+    }
+
+    /**
+     * Remember where the session is after a command (cd, export, ...)
+     */
+    updateLocation(result) {
+        if (result.cwd_after) {
+            this.location.cwd = result.cwd_after;
+        }
+        if (result.git_branch !== undefined) {
+            this.location.git_branch = result.git_branch;
+        }
+        if (result.environment) {
+            this.location.environment = result.environment;
+        }
+    }
+
     async handleSpecialCommand(command) {
         const cmd = command.toLowerCase().trim();
 
@@ -242,23 +399,43 @@ Edges: ${window.app?.canvas?.getData()?.edges?.length || 0}`;
             const commandType = this.determineCommandType(message);
 
             // Send command to server for execution
+            const runId = this.createRunId();
+            this.currentRunId = runId;
             const response = await fetch('http://localhost:3000/api/execute', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...(window.app ? window.app.getAuthHeaders() : {})
                 },
                 body: JSON.stringify({
                     command: message,
-                    type: commandType
+                    type: commandType,
+                    session_id: this.sessionId,
+                    run_id: runId
                 })
+            }).finally(() => {
+                this.currentRunId = null;
             });
 
+            if (response.status === 403) {
+                // Refused by the execution policy
+                const denied = await response.json();
+                this.lastRun = { ...this.location, status: 'denied' };
+                return `Error: ${denied.error}`;
+            }
+
             if (!response.ok) {
                 const errorText = await response.text();
                 throw new Error(`Server error (${response.status}): ${response.statusText}`);
             }
 
             const data = await response.json();
+            this.lastRun = { cwd: data.cwd, git_branch: data.git_branch, environment: data.environment, status: data.status };
+            this.updateLocation(data);
+
+            if (data.status === 'cancelled') {
+                return `Command cancelled:\n${data.output}`;
+            }
 
             if (data.error) {
                 // Command executed but failed
@@ -282,6 +459,7 @@ Edges: ${window.app?.canvas?.getData()?.edges?.length || 0}`;
         }
 
         // Determine if command was successful
+        const { status, ...location } = this.takeLastRun();
         const isSuccess = !result.includes('Error:') && !result.includes('failed:') && !result.includes('Command failed');
 
         // Parse execution result
@@ -291,13 +469,14 @@ Edges: ${window.app?.canvas?.getData()?.edges?.length || 0}`;
                 success: isSuccess,
                 output: result,
                 exit_code: isSuccess ? 0 : 1,
-                duration_ms: context.duration
+                duration_ms: context.duration,
+                status
             },
             {
                 session_id: this.sessionId,
                 command_index: this.commandIndex,
                 previous_output_id: this.lastOutputId,
-                cwd: '/current/path'
+                ...location
             }
         );
 
@@ -330,6 +509,15 @@ Edges: ${window.app?.canvas?.getData()?.edges?.length || 0}`;
         }
     }
 
+    /**
+     * Where the last HTTP-executed command ran and how it ended (falls back to the session's last location)
+     */
+    takeLastRun() {
+        const lastRun = this.lastRun || { ...this.location, status: null };
+        this.lastRun = null;
+        return lastRun;
+    }
+
     async createTerminalErrorNode(command, error, context) {
         // Create error node for execution failures
         await this.createTerminalNodes(command, `Error: ${error.message}`, context);
@@ -433,6 +621,23 @@ Edges: ${window.app?.canvas?.getData()?.edges?.length || 0}`;
         if (terminalContent) {
             terminalContent.scrollTop = terminalContent.scrollHeight;
         }
+
+        return entry;
+    }
+
+    /**
+     * Replace the text of a terminal entry (streamed output so far)
+     */
+    updateTerminalEntry(entry, message) {
+        const content = entry && entry.querySelector('.entry-content');
+        if (!content) return;
+
+        content.innerHTML = this.formatResponse(message);
+
+        const terminalContent = document.getElementById('terminal');
+        if (terminalContent) {
+            terminalContent.scrollTop = terminalContent.scrollHeight;
+        }
     }
 
     formatResponse(text) {
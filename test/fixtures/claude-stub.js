@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Claude CLI stub - Replays a recorded stream-json session
+ *
+ * Stands in for `claude -p --output-format stream-json --verbose` in tests:
+ *   CLAUDE_BIN=test/fixtures/claude-stub.js npm start
+ *
+ * CLAUDE_STUB_RECORDING - JSONL file to replay (default: claude-stream.jsonl next to this file)
+ * CLAUDE_STUB_DELAY     - Delay between lines in ms (default: 20)
+ * CLAUDE_STUB_EXIT_CODE - Exit code after replaying (default: 0)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const recording = process.env.CLAUDE_STUB_RECORDING || path.join(__dirname, 'claude-stream.jsonl');
+const delay = parseInt(process.env.CLAUDE_STUB_DELAY, 10) || 20;
+const exitCode = parseInt(process.env.CLAUDE_STUB_EXIT_CODE, 10) || 0;
+
+const lines = fs.readFileSync(recording, 'utf8').split('\n').filter(line => line.trim());
+
+// Read the prompt like the real CLI does, then replay
+process.stdin.resume();
+process.stdin.on('data', () => {});
+process.stdin.on('end', () => {
+    let index = 0;
+    const next = () => {
+        if (index >= lines.length) {
+            process.exitCode = exitCode;
+            return;
+        }
+        process.stdout.write(lines[index++] + '\n');
+        setTimeout(next, delay);
+    };
+    next();
+});
@@ -0,0 +1,342 @@
+/**
+ * Transcript Importer - Turns Claude Code session transcripts (JSONL) into flows
+ *
+ * Claude Code stores each session as one JSON object per line
+ * (~/.claude/projects/<project>/<session>.jsonl). Every message line has a
+ * `uuid` and the `parentUuid` of the message it follows; those links become
+ * the edges of the flow. Works in the browser (ImportEngine) and in Node
+ * (POST /api/import/transcript).
+ */
+
+// How a tool_use input is summarized in its node
+const TOOL_SUMMARY_FIELDS = ['command', 'file_path', 'path', 'pattern', 'url', 'query', 'description', 'prompt'];
+
+const EDGE_COLORS = {
+    transcript_flow: '#8b5cf6',
+    tool_result: '#f59e0b',
+    subagent: '#10b981'
+};
+
+class TranscriptImporter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxContentLength] - Longer node content is cut (full length kept in metadata)
+     * @param {string} [options.idPrefix] - Prefix of node IDs
+     */
+    constructor(options = {}) {
+        this.maxContentLength = options.maxContentLength || 5000;
+        this.idPrefix = options.idPrefix || 'node-transcript';
+    }
+
+    /**
+     * Check whether text looks like a Claude Code transcript
+     */
+    static isTranscript(text) {
+        const firstLine = String(text).split('\n').find(line => line.trim());
+        if (!firstLine) return false;
+
+        try {
+            const entry = JSON.parse(firstLine);
+            return Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry) &&
+                ('uuid' in entry || 'sessionId' in entry || entry.type === 'summary');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * One-line summary of a tool_use input
+     */
+    static summarizeToolInput(input) {
+        if (!input || typeof input !== 'object') {
+            return '';
+        }
+
+        const field = TOOL_SUMMARY_FIELDS.find(key => typeof input[key] === 'string');
+        return field ? input[field] : JSON.stringify(input);
+    }
+
+    /**
+     * Text of a tool_result (a string, or a list of content blocks)
+     */
+    static getToolResultText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        if (Array.isArray(content)) {
+            return content.map(block => (block.type === 'text' ? block.text : `[${block.type}]`)).join('\n');
+        }
+        return '';
+    }
+
+    /**
+     * Parse transcript lines, skipping the ones that are not JSON
+     * @returns {Object} - { entries, warnings }
+     */
+    parseLines(text) {
+        const entries = [];
+        const warnings = [];
+
+        String(text).split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+
+            try {
+                const entry = JSON.parse(line);
+                if (entry && typeof entry === 'object') {
+                    entries.push(entry);
+                } else {
+                    warnings.push(`Line ${index + 1}: not a JSON object`);
+                }
+            } catch (error) {
+                warnings.push(`Line ${index + 1}: invalid JSON (${error.message})`);
+            }
+        });
+
+        return { entries, warnings };
+    }
+
+    /**
+     * Convert a transcript to flow data
+     * @param {string} text - JSONL transcript
+     * @returns {Object} - { nodes, edges, warnings, metadata }
+     */
+    parse(text) {
+        const { entries, warnings } = this.parseLines(text);
+        return this.convert(entries, warnings);
+    }
+
+    /**
+     * Convert parsed transcript entries to flow data
+     * @param {Array} entries - Transcript lines (objects)
+     * @param {Array} [warnings] - Warnings collected so far
+     */
+    convert(entries, warnings = []) {
+        const state = this.createState();
+        const { nodes, edges } = this.append(state, entries);
+        return { nodes, edges, warnings, metadata: state.metadata };
+    }
+
+    /**
+     * State carried between append() calls on the same transcript
+     */
+    createState() {
+        return {
+            metadata: {
+                session_id: null,
+                cwd: null,
+                git_branch: null,
+                version: null,
+                summary: null,
+                message_count: 0,
+                first_timestamp: null,
+                last_timestamp: null
+            },
+            // uuid -> { first, last } node IDs of the line; null when the line made no node
+            lineNodes: new Map(),
+            parents: new Map(), // uuid -> parentUuid
+            toolNodes: new Map(), // tool_use ID -> node ID
+            taskNodes: new Map(), // Task prompt -> tool_use node ID
+            edgeIds: new Set()
+        };
+    }
+
+    /**
+     * Convert transcript lines that follow the ones already seen (live tailing)
+     * Parents, tool calls and Task prompts come before the lines referring to them,
+     * so every line is linked as soon as it arrives.
+     * @param {Object} state - From createState(), updated in place
+     * @param {Array} entries - New transcript lines (objects)
+     * @returns {Object} - { nodes, edges } created by these lines
+     */
+    append(state, entries) {
+        const nodes = [];
+        const edges = [];
+        const { metadata, lineNodes, parents, toolNodes, taskNodes, edgeIds } = state;
+
+        // Node a line's children hang off: its last node, or (for lines without nodes) its parent's
+        const resolveParent = (uuid) => {
+            const seen = new Set();
+            while (uuid && !seen.has(uuid)) {
+                seen.add(uuid);
+                const line = lineNodes.get(uuid);
+                if (line) return line.last;
+                uuid = parents.get(uuid);
+            }
+            return null;
+        };
+
+        entries.forEach(entry => {
+            if (entry.type === 'summary') {
+                metadata.summary = metadata.summary || entry.summary || null;
+                return;
+            }
+
+            if (!entry.uuid) return;
+
+            metadata.message_count++;
+            metadata.session_id = metadata.session_id || entry.sessionId || null;
+            metadata.cwd = metadata.cwd || entry.cwd || null;
+            metadata.git_branch = metadata.git_branch || entry.gitBranch || null;
+            metadata.version = metadata.version || entry.version || null;
+            if (entry.timestamp) {
+                metadata.first_timestamp = metadata.first_timestamp || entry.timestamp;
+                metadata.last_timestamp = entry.timestamp;
+            }
+
+            parents.set(entry.uuid, entry.parentUuid || null);
+
+            const created = this.createNodes(entry);
+            if (created.length === 0) {
+                lineNodes.set(entry.uuid, null);
+                return;
+            }
+
+            const first = created[0].node;
+            const parentId = resolveParent(entry.parentUuid);
+            if (parentId) {
+                first.parent_id = parentId;
+                this.addEdge(edges, edgeIds, parentId, first.id, 'transcript_flow');
+            } else if (first.type === 'subagent_prompt' && taskNodes.has(first.content)) {
+                // A subagent's first prompt hangs off the Task call that started it
+                first.parent_id = taskNodes.get(first.content);
+                this.addEdge(edges, edgeIds, first.parent_id, first.id, 'subagent');
+            }
+
+            created.forEach(({ node, toolUseId, answers }, index) => {
+                nodes.push(node);
+
+                // Blocks of one line follow each other
+                if (index > 0) {
+                    this.addEdge(edges, edgeIds, created[index - 1].node.id, node.id, 'transcript_flow');
+                }
+
+                if (toolUseId) toolNodes.set(toolUseId, node.id);
+                if (node.type === 'tool_use' && typeof node.metadata.input.prompt === 'string') {
+                    taskNodes.set(node.metadata.input.prompt, node.id);
+                }
+
+                // Tool results also link to the call they answer
+                if (answers && toolNodes.has(answers)) {
+                    this.addEdge(edges, edgeIds, toolNodes.get(answers), node.id, 'tool_result');
+                }
+            });
+
+            lineNodes.set(entry.uuid, { first: first.id, last: created[created.length - 1].node.id });
+        });
+
+        return { nodes, edges };
+    }
+
+    /**
+     * Create the nodes of one transcript line
+     * @returns {Array} - [{ node, toolUseId, answers }]
+     */
+    createNodes(entry) {
+        const message = entry.message || {};
+        const blocks = typeof message.content === 'string'
+            ? [{ type: 'text', text: message.content }]
+            : (Array.isArray(message.content) ? message.content : []);
+        const sidechain = Boolean(entry.isSidechain);
+        const created = [];
+
+        // Only user and assistant messages carry conversation content
+        if ((entry.type !== 'user' && entry.type !== 'assistant') || entry.isMeta) {
+            return created;
+        }
+
+        blocks.forEach(block => {
+            const base = {
+                uuid: entry.uuid,
+                parent_uuid: entry.parentUuid || null,
+                session_id: entry.sessionId || null,
+                is_sidechain: sidechain,
+                agent_id: entry.agentId || null
+            };
+
+            if (block.type === 'text' && block.text && entry.type === 'user') {
+                created.push({ node: this.createNode(entry, created.length, sidechain ? 'subagent_prompt' : 'user_prompt',
+                    sidechain ? 'Subagent Prompt' : 'User', block.text, base) });
+            } else if (block.type === 'text' && block.text) {
+                created.push({ node: this.createNode(entry, created.length, sidechain ? 'subagent_message' : 'claude_message',
+                    sidechain ? 'Subagent' : 'Claude', block.text, { ...base, model: message.model || null }) });
+            } else if (block.type === 'thinking' && block.thinking) {
+                created.push({ node: this.createNode(entry, created.length, 'thinking', 'Thinking', block.thinking, base) });
+            } else if (block.type === 'tool_use') {
+                created.push({
+                    node: this.createNode(entry, created.length, 'tool_use', block.name || 'Tool',
+                        TranscriptImporter.summarizeToolInput(block.input), {
+                            ...base,
+                            tool_use_id: block.id || null,
+                            tool_name: block.name || null,
+                            input: block.input || {}
+                        }),
+                    toolUseId: block.id
+                });
+            } else if (block.type === 'tool_result') {
+                created.push({
+                    node: this.createNode(entry, created.length, 'tool_result', block.is_error ? 'Tool Error' : 'Tool Result',
+                        TranscriptImporter.getToolResultText(block.content), {
+                            ...base,
+                            tool_use_id: block.tool_use_id || null,
+                            is_error: Boolean(block.is_error)
+                        }),
+                    answers: block.tool_use_id
+                });
+            }
+        });
+
+        return created;
+    }
+
+    /**
+     * Create a node; IDs derive from the message UUID, so re-imports produce the same IDs
+     */
+    createNode(entry, blockIndex, type, title, content, metadata) {
+        const text = String(content || '');
+        const truncated = text.length > this.maxContentLength;
+
+        return {
+            id: blockIndex === 0 ? `${this.idPrefix}-${entry.uuid}` : `${this.idPrefix}-${entry.uuid}-${blockIndex}`,
+            type,
+            title,
+            content: truncated ? text.slice(0, this.maxContentLength) + '…' : text,
+            parent_id: null,
+            timestamp: entry.timestamp && !isNaN(Date.parse(entry.timestamp)) ? entry.timestamp : undefined,
+            metadata: {
+                ...metadata,
+                cwd: entry.cwd || null,
+                git_branch: entry.gitBranch || null,
+                content_length: text.length,
+                truncated
+            }
+        };
+    }
+
+    /**
+     * Add an edge unless it already exists
+     */
+    addEdge(edges, edgeIds, from, to, type) {
+        const id = `edge-${from}-${to}`;
+        if (edgeIds.has(id)) return;
+
+        edgeIds.add(id);
+        edges.push({
+            id,
+            from,
+            to,
+            type,
+            style: type === 'transcript_flow' ? 'solid' : 'dashed',
+            color: EDGE_COLORS[type] || '#8b5cf6'
+        });
+    }
+}
+
+// Export for use in the browser (ImportEngine)
+if (typeof window !== 'undefined') {
+    window.TranscriptImporter = TranscriptImporter;
+}
+
+// Node.js export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranscriptImporter;
+}
@@ -0,0 +1,294 @@
+/**
+ * Transcript Watcher - Live tailing of a directory of Claude Code session files
+ *
+ * Watches a directory (e.g. ~/.claude/projects) for `<session>.jsonl` files,
+ * directly inside it or one level down, and reads the lines appended to them.
+ * Changes are picked up through fs.watch; a polling scan catches what fs.watch
+ * misses (network file systems, editors replacing files, platforms without
+ * recursive watching).
+ *
+ * Events:
+ * - 'session' (session)          a session file was found
+ * - 'append'  (session, batch)   batch is { nodes, edges, warnings } for the new lines
+ * - 'reset'   (session, reason)  the file was truncated or replaced and is read again from the start
+ * - 'remove'  (session)          the file was deleted
+ * - 'error'   (error)            reading the directory or a file failed
+ *
+ * Each session keeps its own TranscriptImporter state, so new lines link to the
+ * messages before them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const TranscriptImporter = require('./transcript-importer');
+
+// Bytes read from a file per read call
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+class TranscriptWatcher extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory holding the session files
+     * @param {number} [options.pollInterval] - Polling scan interval in ms
+     * @param {boolean} [options.backfill] - Read files that exist at start() from the beginning
+     *                                       (by default only lines appended later are read)
+     * @param {Object} [options.importer] - TranscriptImporter options
+     */
+    constructor(options) {
+        super();
+        this.directory = path.resolve(options.directory);
+        this.pollInterval = options.pollInterval || 1000;
+        this.backfill = Boolean(options.backfill);
+        this.importer = new TranscriptImporter(options.importer);
+
+        this.sessions = new Map(); // file -> session
+        this.watcher = null;
+        this.pollTimer = null;
+        this.scanTimer = null;
+        this.scanning = null; // Promise of the running scan
+        this.rescan = false;
+        this.started = false;
+    }
+
+    /**
+     * Start watching; resolves once the files present now are registered
+     */
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        await this.scan(!this.backfill);
+        this.watch();
+
+        this.pollTimer = setInterval(() => this.requestScan(), this.pollInterval);
+        this.pollTimer.unref();
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        this.started = false;
+
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearInterval(this.pollTimer);
+        clearTimeout(this.scanTimer);
+        this.pollTimer = null;
+        this.scanTimer = null;
+    }
+
+    /**
+     * Watch the directory for changes; polling alone keeps working if this fails
+     */
+    watch() {
+        const onChange = () => {
+            // Writes come in bursts: scan once they settle
+            clearTimeout(this.scanTimer);
+            this.scanTimer = setTimeout(() => this.requestScan(), 50);
+        };
+
+        try {
+            this.watcher = fs.watch(this.directory, { recursive: true }, onChange);
+        } catch (error) {
+            try {
+                // No recursive watching here (or the directory does not exist yet)
+                this.watcher = fs.watch(this.directory, onChange);
+            } catch (fallbackError) {
+                console.warn(`Cannot watch ${this.directory} (${fallbackError.code || fallbackError.message}), polling every ${this.pollInterval}ms`);
+                return;
+            }
+        }
+
+        this.watcher.on('error', error => {
+            console.warn(`Stopped watching ${this.directory} (${error.message}), polling every ${this.pollInterval}ms`);
+            this.watcher.close();
+            this.watcher = null;
+        });
+    }
+
+    /**
+     * Scan now, or right after the running scan if there is one
+     */
+    requestScan() {
+        if (!this.started) return;
+
+        if (this.scanning) {
+            this.rescan = true;
+            return;
+        }
+
+        this.scan(false).catch(error => this.emit('error', error));
+    }
+
+    /**
+     * Check every session file for new, appended, truncated, replaced or deleted content
+     * @param {boolean} skipExisting - Start newly found files at their end
+     */
+    async scan(skipExisting) {
+        this.scanning = (async () => {
+            const files = await this.listFiles();
+
+            for (const file of files) {
+                try {
+                    await this.checkFile(file, skipExisting);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        this.emit('error', error);
+                    }
+                }
+            }
+
+            this.sessions.forEach((session, file) => {
+                if (!files.includes(file)) {
+                    this.sessions.delete(file);
+                    this.emit('remove', session);
+                }
+            });
+        })();
+
+        try {
+            await this.scanning;
+        } finally {
+            this.scanning = null;
+            if (this.rescan) {
+                this.rescan = false;
+                this.requestScan();
+            }
+        }
+    }
+
+    /**
+     * Session files in the directory and its direct subdirectories
+     */
+    async listFiles() {
+        const files = [];
+
+        const readDir = async (directory, depth) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(directory, { withFileTypes: true });
+            } catch (error) {
+                // A missing directory may still be created later
+                if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                    this.emit('error', error);
+                }
+                return;
+            }
+
+            for (const entry of entries) {
+                const file = path.join(directory, entry.name);
+                if (entry.isFile() && entry.name.endsWith('.jsonl')) {
+                    files.push(file);
+                } else if (entry.isDirectory() && depth > 0) {
+                    await readDir(file, depth - 1);
+                }
+            }
+        };
+
+        await readDir(this.directory, 1);
+        return files;
+    }
+
+    /**
+     * Create the tailing state of a session file
+     */
+    createSession(file, stats) {
+        return {
+            file,
+            id: path.basename(file, '.jsonl'),
+            ino: stats.ino,
+            offset: 0,
+            pending: Buffer.alloc(0), // Bytes of an unfinished last line
+            skipPartial: false,
+            state: this.importer.createState()
+        };
+    }
+
+    /**
+     * Read whatever changed in one file
+     */
+    async checkFile(file, skipExisting) {
+        const stats = await fs.promises.stat(file);
+        let session = this.sessions.get(file);
+
+        if (!session) {
+            session = this.createSession(file, stats);
+            if (skipExisting && stats.size > 0) {
+                // Tail from the end; a line still being written there is not complete
+                session.offset = stats.size;
+                session.skipPartial = !(await this.endsWithNewline(file, stats.size));
+            }
+            this.sessions.set(file, session);
+            this.emit('session', session);
+        } else if (stats.ino !== session.ino || stats.size < session.offset) {
+            const reason = stats.ino !== session.ino ? 'replaced' : 'truncated';
+            session = this.createSession(file, stats);
+            this.sessions.set(file, session);
+            this.emit('reset', session, reason);
+        }
+
+        if (stats.size > session.offset) {
+            await this.readAppended(session, stats.size);
+        }
+    }
+
+    /**
+     * Check whether a file's last byte is a newline
+     */
+    async endsWithNewline(file, size) {
+        const handle = await fs.promises.open(file, 'r');
+        try {
+            const buffer = Buffer.alloc(1);
+            await handle.read(buffer, 0, 1, size - 1);
+            return buffer[0] === 0x0a;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Read a file from the session's offset up to size and emit the complete lines
+     */
+    async readAppended(session, size) {
+        const handle = await fs.promises.open(session.file, 'r');
+        const chunks = [session.pending];
+
+        try {
+            while (session.offset < size) {
+                const buffer = Buffer.alloc(Math.min(size - session.offset, READ_CHUNK_SIZE));
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, session.offset);
+                if (bytesRead === 0) break;
+
+                chunks.push(buffer.subarray(0, bytesRead));
+                session.offset += bytesRead;
+            }
+        } finally {
+            await handle.close();
+        }
+
+        // Split on newline bytes so multi-byte characters are never cut in half
+        const data = Buffer.concat(chunks);
+        const end = data.lastIndexOf(0x0a);
+        session.pending = data.subarray(end + 1);
+        if (end < 0) return;
+
+        let text = data.subarray(0, end).toString('utf8');
+        if (session.skipPartial) {
+            session.skipPartial = false;
+            text = text.slice(text.indexOf('\n') + 1 || text.length);
+        }
+
+        const { entries, warnings } = this.importer.parseLines(text);
+        const { nodes, edges } = this.importer.append(session.state, entries);
+
+        if (nodes.length > 0 || edges.length > 0 || warnings.length > 0) {
+            this.emit('append', session, { nodes, edges, warnings });
+        }
+    }
+}
+
+module.exports = TranscriptWatcher;